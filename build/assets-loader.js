@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Generates src/common/assets.js with the templates and translations found in their directories,
+ * keeping the lookup functions of the original module.
+ *
+ * Options (see FlxyAssetsPlugin):
+ * - templates: the templates directory.
+ * - translations: the translations directory.
+ * - extensions: the template file extensions to bundle.
+ * - chunks: whether the files are loaded from chunks on first use rather than inlined in the bundle.
+ */
+module.exports = function assetsLoader(source) {
+    const { templates, translations, extensions, chunks } = this.getOptions();
+
+    const templateEntries = listFiles(this, templates, extensions).map(({ file, relative }) => {
+        const key = `/${relative}`;
+        const value = chunks
+            ? `() => import(/* webpackChunkName: "templates" */ ${JSON.stringify(`${file}?flxy-source`)}).then(module => module.default)`
+            : JSON.stringify(read(this, file));
+        return `    ${JSON.stringify(key)}: ${value},`;
+    });
+
+    const translationEntries = listFiles(this, translations, ['.json']).map(({ file, relative }) => {
+        const key = relative.replace(/\.json$/, '');
+        const value = chunks
+            ? `() => import(/* webpackChunkName: ${JSON.stringify(`translations-${key.split('/').join('-')}`)} */ ${JSON.stringify(file)}).then(module => module.default)`
+            : JSON.stringify(JSON.parse(read(this, file)));
+        return `    ${JSON.stringify(key)}: ${value},`;
+    });
+
+    return source
+        .replace(/export const templates = \{\};/, `export const templates = {\n${templateEntries.join('\n')}\n};`)
+        .replace(/export const translations = \{\};/, `export const translations = {\n${translationEntries.join('\n')}\n};`);
+};
+
+/**
+ * Lists the files of a directory and its subdirectories, watching it for changes.
+ * @param {Object} loader - The loader context.
+ * @param {string} [directory] - The directory, nothing is listed without one.
+ * @param {Array<string>} extensions - The file extensions to keep.
+ * @returns {Array<{file: string, relative: string}>} - The absolute paths and the paths relative to the directory.
+ */
+function listFiles(loader, directory, extensions) {
+    if (!directory || !fs.existsSync(directory)) return [];
+
+    loader.addContextDependency(directory);
+
+    return walk(directory)
+        .map(file => ({ file, relative: path.relative(directory, file).split(path.sep).join('/') }))
+        .filter(({ file }) => extensions.includes(path.extname(file)))
+        .sort((a, b) => a.relative.localeCompare(b.relative));
+}
+
+/**
+ * Lists the files of a directory and its subdirectories.
+ * @param {string} directory - The directory.
+ * @returns {Array<string>} - The absolute file paths.
+ */
+function walk(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(directory, entry.name);
+        if (entry.isDirectory()) return walk(file);
+        return fs.statSync(file).isFile() ? [file] : []; // Linked files are bundled too
+    });
+}
+
+/**
+ * Reads a file, rebuilding the bundle when it changes.
+ * @param {Object} loader - The loader context.
+ * @param {string} file - The absolute file path.
+ * @returns {string}
+ */
+function read(loader, file) {
+    loader.addDependency(file);
+    return fs.readFileSync(file, 'utf8');
+}
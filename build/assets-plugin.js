@@ -0,0 +1,45 @@
+const path = require('path');
+
+// The module replaced with the bundled files
+const ASSETS_MODULE = path.resolve(__dirname, '../src/common/assets.js');
+
+/**
+ * Bundles the templates and translations directories, so Template.get and Translator.load
+ * read them from the bundle before falling back to the network.
+ * Opt-in: webpack.config.js only adds it with `--env assets` (npm run build:assets).
+ *
+ * @example
+ * new FlxyAssetsPlugin({
+ *     templates: path.resolve(__dirname, 'templates'),
+ *     translations: path.resolve(__dirname, 'translations'),
+ *     chunks: true, // One chunk for the templates and one per translation file, loaded on first use
+ * })
+ */
+class FlxyAssetsPlugin {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.templates] - The templates directory, nothing is bundled from it when missing.
+     * @param {string} [options.translations] - The translations directory, nothing is bundled from it when missing.
+     * @param {Array<string>} [options.extensions=['.html', '.hbs', '.eta']] - The template file extensions to bundle.
+     * @param {boolean} [options.chunks=false] - Load the files from separate chunks rather than inlining them.
+     */
+    constructor({ templates, translations, extensions = ['.html', '.hbs', '.eta'], chunks = false } = {}) {
+        this.options = { templates, translations, extensions, chunks };
+    }
+
+    apply(compiler) {
+        compiler.options.module.rules.push(
+            {
+                test: ASSETS_MODULE,
+                use: [{ loader: require.resolve('./assets-loader.js'), options: this.options }],
+            },
+            {
+                // Template files imported by the chunks, as their source string
+                resourceQuery: /flxy-source/,
+                type: 'asset/source',
+            },
+        );
+    }
+}
+
+module.exports = FlxyAssetsPlugin;
@@ -148,6 +148,7 @@ export const deleteRequest = async (url, options = {}, middlewareNames = []) =>
  * Handles the actual HTTP request after applying middlewares.
  * @param {string} url - The endpoint URL.
  * @param {Object} options - The request options (method, headers, etc.).
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. the `signal` of a route context.
  * @param {Array|string} middlewareNames - Middleware(s) to execute.
  * @returns {Promise<Object>} - The parsed JSON response.
  * @throws {Error} - Throws an error if the response is not successful.
@@ -161,6 +162,9 @@ export const request = async (url, options = {}, middlewareNames = []) => {
         throw new Error('Middleware failed, API request blocked');
     }
 
+    // Don't start a request that was cancelled while the middlewares ran
+    options.signal?.throwIfAborted();
+
 
     const finalUrl = new URL(`${API.baseEndpoint}${url}`);
     const query = options.query || {};
@@ -185,13 +189,15 @@ export const request = async (url, options = {}, middlewareNames = []) => {
         const response = await fetch(combinedUrl, payload);
 
         if (!response.ok) {
-            throw new Error(`Request failed with status ${response.status}`);
+            const error = new Error(`Request failed with status ${response.status}`);
+            error.status = response.status; // Lets the router show the matching error view
+            throw error;
         }
 
         const data = await response.json();
         return data;
     } catch (error) {
-        console.error('API request failed:', error);
+        if (!options.signal?.aborted) console.error('API request failed:', error);
         throw error;
     }
 };
@@ -0,0 +1,43 @@
+/**
+ * Templates and translations bundled at build time.
+ * This module is generated by build/assets-loader.js when the FlxyAssetsPlugin is used; without it nothing is
+ * bundled and everything is fetched from the network.
+ * Each entry is the file content, or a function loading it from its own chunk.
+ */
+
+// Template sources by file path below the templates directory (e.g. '/about.html')
+export const templates = {};
+
+// Translation bundles by file path below the translations directory, without '.json' (e.g. 'en')
+export const translations = {};
+
+/**
+ * Returns a bundled template source.
+ * @param {string} file - The file path below the templates directory (e.g. '/about.html').
+ * @returns {Promise<string|undefined>} - The template source, or undefined if it is not bundled.
+ */
+export async function getTemplate(file) {
+    return read(templates, file);
+}
+
+/**
+ * Returns a bundled translation file.
+ * @param {string} name - The file path below the translations directory, without '.json' (e.g. 'en').
+ * @returns {Promise<Object|undefined>} - The translations, or undefined if they are not bundled.
+ */
+export async function getTranslation(name) {
+    return read(translations, name);
+}
+
+/**
+ * Reads a bundled entry, loading its chunk if needed.
+ * @param {Object} collection - The bundled templates or translations.
+ * @param {string} key - The entry key.
+ * @returns {Promise<any>}
+ */
+async function read(collection, key) {
+    if (!Object.hasOwn(collection, key)) return;
+
+    const entry = collection[key];
+    return typeof entry === "function" ? entry() : entry;
+}
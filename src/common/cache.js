@@ -0,0 +1,165 @@
+/**
+ * The Cache module keeps fetched files (templates, translations) in the Cache Storage, so repeat visits
+ * are served from it right away. Each cached response is revalidated in the background with its ETag or
+ * Last-Modified header, and callers are told when the file changed on the server.
+ *
+ * The cache is off until enabled with configure. Bumping the version drops everything cached under other versions.
+ */
+
+// Prefix of the Cache Storage names, followed by the version
+const CACHE_PREFIX = "flxy-";
+
+// Define the Cache object on top
+const Cache = {
+    enabled: false,   // Whether responses are cached
+    version: "1",     // Version of the cached files, e.g. the app version or a manifest hash
+    storage: null,    // Promise of the opened Cache Storage
+    revalidating: new Map(), // Background revalidations by URL, so a URL is revalidated once at a time
+};
+
+/**
+ * Configures the persistent cache.
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Whether to cache the responses.
+ * @param {string|number} [options.version] - The version of the cached files. Changing it discards the previous caches.
+ * @example Cache.configure({ enabled: true, version: '2.4.0' });
+ */
+export function configure({ enabled = Cache.enabled, version = Cache.version } = {}) {
+    Cache.enabled = Boolean(enabled) && isAvailable();
+    if (String(version) !== Cache.version) {
+        Cache.version = String(version);
+        Cache.storage = null;
+    }
+    if (Cache.enabled) removeStale();
+}
+
+/**
+ * Fetches a URL, from the cache when it holds a response, revalidating it in the background.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with the new Response when the revalidation finds a changed file.
+ * @returns {Promise<Response>} - The cached response, or the network response when nothing is cached.
+ */
+export async function request(url, { onUpdate } = {}) {
+    if (!Cache.enabled) return fetch(url);
+
+    let storage;
+    try {
+        storage = await open();
+        const cached = await storage.match(url);
+        if (cached) {
+            revalidate(storage, url, cached.clone(), onUpdate);
+            return cached;
+        }
+    } catch (error) {
+        console.warn(`Cache lookup failed for ${url}:`, error);
+        return fetch(url);
+    }
+
+    const response = await fetch(url);
+    if (response.ok) await store(storage, url, response.clone());
+    return response;
+}
+
+/**
+ * Removes a URL from the cache, or clears the whole cache. Does nothing while the cache is not enabled, so no
+ * Cache Storage is created for it.
+ * @param {string} [url] - The URL to remove, defaults to all of them.
+ * @returns {Promise<void>}
+ */
+export async function clear(url) {
+    if (!Cache.enabled) return;
+
+    if (url) {
+        await (await open()).delete(url);
+    } else {
+        await caches.delete(getName());
+        Cache.storage = null;
+    }
+}
+
+/**
+ * Revalidates a cached response with its validators, storing and reporting the new file if it changed.
+ * @param {Cache} storage - The opened Cache Storage.
+ * @param {string} url - The URL of the file.
+ * @param {Response} cached - The cached response.
+ * @param {Function} [onUpdate] - Called with the new Response when the file changed.
+ */
+function revalidate(storage, url, cached, onUpdate) {
+    if (Cache.revalidating.has(url)) return;
+
+    const headers = {};
+    const etag = cached.headers.get("ETag");
+    const lastModified = cached.headers.get("Last-Modified");
+    if (etag) headers["If-None-Match"] = etag;
+    if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+    const revalidation = (async () => {
+        const response = await fetch(url, { headers, cache: "no-store" });
+        if (response.status === 304 || !response.ok) return;
+
+        // Without validators the server always answers 200, so compare the files
+        const [previous, current] = await Promise.all([cached.text(), response.clone().text()]);
+        if (previous === current) return;
+
+        await store(storage, url, response.clone());
+        onUpdate?.(response);
+    })()
+        .catch(error => console.warn(`Revalidation failed for ${url}:`, error))
+        .finally(() => Cache.revalidating.delete(url));
+
+    Cache.revalidating.set(url, revalidation);
+}
+
+/**
+ * Stores a response, ignoring the failures (e.g. a full quota) as the network response is still usable.
+ * @param {Cache} storage - The opened Cache Storage.
+ * @param {string} url - The URL of the file.
+ * @param {Response} response - The response to store.
+ */
+async function store(storage, url, response) {
+    try {
+        await storage.put(url, response);
+    } catch (error) {
+        console.warn(`Failed to cache ${url}:`, error);
+    }
+}
+
+/**
+ * Opens the Cache Storage of the current version.
+ * @returns {Promise<Cache>}
+ */
+function open() {
+    Cache.storage ||= caches.open(getName());
+    return Cache.storage;
+}
+
+/**
+ * Deletes the caches of other versions.
+ */
+async function removeStale() {
+    try {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== getName())
+            .map(name => caches.delete(name)));
+    } catch (error) {
+        console.warn("Failed to remove the previous caches:", error);
+    }
+}
+
+/**
+ * Returns the Cache Storage name of the current version.
+ * @returns {string}
+ */
+function getName() {
+    return `${CACHE_PREFIX}${Cache.version}`;
+}
+
+/**
+ * Checks whether the Cache Storage is available (it requires a secure context).
+ * @returns {boolean}
+ */
+function isAvailable() {
+    return typeof caches !== "undefined";
+}
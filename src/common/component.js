@@ -0,0 +1,215 @@
+import { getHTML, prepareHTML } from "./template.js";
+import { delegate } from "./events.js";
+import { morph } from "./morph.js";
+import { isObject } from "./helpers.js";
+
+/**
+ * The Component module ties a template, props, local state, delegated events and lifecycle hooks
+ * into a reusable custom element, usable in any template: `<user-card user-id="{{id}}"></user-card>`.
+ *
+ * A component mounts when its element is added to the page and is destroyed when it is removed,
+ * e.g. when the router renders a different page. When a morphing render keeps an element of the same
+ * tag in place, the component is kept and receives its new props; give it a different `data-key` to get a new one.
+ */
+
+// Define the Component object on top
+const Component = {
+    definitions: new Map(), // Component definitions by tag name
+};
+
+/**
+ * Defines a component as a custom element.
+ *
+ * @param {string} name - The tag name, which must contain a dash (e.g. 'user-card').
+ * @param {Object} definition - The component definition.
+ * @param {string} definition.template - The template path (see Template.getHTML), rendered with the props, the state and
+ *                                       `content` (the initial HTML inside the element).
+ * @param {Array<string>|Object} [definition.props] - The prop names, or an object mapping them to a parser (e.g. Number).
+ *                                                    Props are read from the kebab-case attributes (`userId` from `user-id`).
+ * @param {Function|Object} [definition.state] - The initial local state, or a function returning it.
+ * @param {Object} [definition.events] - Delegated handlers keyed by 'event selector' (e.g. 'click .toggle'),
+ *                                       as functions or method names, called with the event and the matching element.
+ * @param {Object} [definition.methods] - Methods available on the element and as `this` in hooks and handlers.
+ * @param {Function} [definition.mounted] - Called after the first render.
+ * @param {Function} [definition.updated] - Called after each following render.
+ * @param {Function} [definition.destroyed] - Called once the element has left the page.
+ * @returns {Function} - The custom element class.
+ * @throws {Error} If custom elements are not available, the name is taken or the template is missing.
+ * @example
+ * Component.define('like-button', {
+ *   template: '/components/like-button',
+ *   props: { count: Number },
+ *   state: () => ({ liked: false }),
+ *   events: { 'click button': 'toggle' },
+ *   methods: { toggle() { this.setState({ liked: !this.state.liked }); } },
+ * });
+ */
+export function define(name, definition) {
+    if (typeof customElements === "undefined") {
+        throw new Error("Components require custom elements, which are not available here.");
+    }
+    if (customElements.get(name)) {
+        throw new Error(`Component ${name} is already defined.`);
+    }
+    if (!isObject(definition) || !definition.template) {
+        throw new Error(`Component ${name} must declare a template.`);
+    }
+
+    const props = getPropParsers(definition.props);
+    const attributes = Object.keys(props).map(toAttribute);
+
+    class FlxyComponent extends HTMLElement {
+        static get observedAttributes() {
+            return attributes;
+        }
+
+        connectedCallback() {
+            mount(this);
+        }
+
+        disconnectedCallback() {
+            // Moving the element (e.g. a keyed list item) disconnects and reconnects it right away
+            queueMicrotask(() => {
+                if (!this.isConnected) destroy(this);
+            });
+        }
+
+        attributeChangedCallback(attribute, oldValue, newValue) {
+            if (oldValue !== newValue) this.update?.();
+        }
+    }
+
+    Object.assign(FlxyComponent.prototype, definition.methods);
+    Component.definitions.set(name, { ...definition, props });
+    customElements.define(name, FlxyComponent);
+    return FlxyComponent;
+}
+
+/**
+ * Mounts a component: sets up its state, props and events, then renders it.
+ * @param {HTMLElement} element - The component element.
+ */
+function mount(element) {
+    if (element.component) return;
+
+    const definition = Component.definitions.get(element.localName);
+    const component = {
+        definition,
+        mounted: false,
+        pending: null,                      // Promise of the scheduled update
+        controller: new AbortController(),  // Aborted once destroyed
+        content: element.innerHTML,         // The HTML given inside the element
+        unbind: [],                         // Removes the delegated events
+    };
+    element.component = component;
+    element.signal = component.controller.signal; // For the async work of hooks and handlers
+
+    const state = typeof definition.state === "function" ? definition.state.call(element) : definition.state;
+    element.state = { ...state };
+
+    element.setState = (patch) => {
+        element.state = { ...element.state, ...(typeof patch === "function" ? patch(element.state) : patch) };
+        return element.update();
+    };
+
+    // Batch the updates requested in the same task into one render
+    element.update = () => {
+        if (!element.component || component.controller.signal.aborted) return Promise.resolve();
+        component.pending ||= Promise.resolve().then(() => {
+            component.pending = null;
+            return renderComponent(element, component);
+        });
+        return component.pending;
+    };
+
+    Object.defineProperty(element, "props", { get: () => getProps(element), configurable: true });
+
+    for (const [key, handler] of Object.entries(definition.events || {})) {
+        const [eventType, ...selector] = key.trim().split(/\s+/);
+        const callback = typeof handler === "function" ? handler : element[handler];
+        if (typeof callback !== "function") {
+            console.error(`Component ${element.localName} has no handler ${handler} for ${key}`);
+            continue;
+        }
+        component.unbind.push(delegate(element, selector.join(" "), eventType, callback.bind(element)));
+    }
+
+    renderComponent(element, component);
+}
+
+/**
+ * Renders a component with its props and state, then runs its mounted or updated hook.
+ * @param {HTMLElement} element - The component element.
+ * @param {Object} component - The mounted component of the element.
+ */
+async function renderComponent(element, component) {
+    const { definition, controller } = component;
+
+    try {
+        const data = { ...element.props, ...element.state, content: component.content };
+        const html = await getHTML(definition.template, data);
+        if (controller.signal.aborted) return;
+
+        morph(element, prepareHTML(html));
+
+        const hook = component.mounted ? definition.updated : definition.mounted;
+        component.mounted = true;
+        await hook?.call(element);
+    } catch (error) {
+        console.error(`Failed to render component ${element.localName}:`, error);
+    }
+}
+
+/**
+ * Destroys a component: removes its events, stops pending renders and runs its destroyed hook.
+ * @param {HTMLElement} element - The component element.
+ */
+function destroy(element) {
+    const { component } = element;
+    if (!component) return;
+
+    component.controller.abort();
+    component.unbind.forEach(unbind => unbind());
+    delete element.component;
+
+    try {
+        component.definition.destroyed?.call(element);
+    } catch (error) {
+        console.error(`destroyed failed for component ${element.localName}:`, error);
+    }
+}
+
+/**
+ * Reads the props of a component from its attributes.
+ * @param {HTMLElement} element - The component element.
+ * @returns {Object}
+ */
+function getProps(element) {
+    const { props } = Component.definitions.get(element.localName);
+    const values = {};
+
+    for (const [name, parse] of Object.entries(props)) {
+        const value = element.getAttribute(toAttribute(name));
+        if (value !== null) values[name] = parse ? parse(value) : value;
+    }
+    return values;
+}
+
+/**
+ * Normalizes the declared props to an object of parsers.
+ * @param {Array<string>|Object} [props]
+ * @returns {Object} - The parser of each prop, or null to keep the attribute string.
+ */
+function getPropParsers(props = []) {
+    if (Array.isArray(props)) return Object.fromEntries(props.map(name => [name, null]));
+    return isObject(props) ? props : {};
+}
+
+/**
+ * Converts a camelCase prop name to its kebab-case attribute.
+ * @param {string} name
+ * @returns {string}
+ */
+function toAttribute(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
@@ -0,0 +1,127 @@
+import Mustache from "mustache";
+
+/**
+ * Template engine adapters used by the Template module.
+ *
+ * Each adapter exposes the same interface, so templates are compiled once and rendered many times:
+ * - compile(source, tags): returns a template function `(data, { partials, helpers }) => html`.
+ *   `tags` are custom delimiters as `[open, close]`, for the engines that support them.
+ *
+ * Mustache ships with the main bundle; Handlebars and Eta are loaded in their own chunk the first time they are used.
+ */
+
+// Registered engines, as an adapter or a function resolving to one
+const engines = {
+    mustache: createMustacheEngine,
+    handlebars: async () => createHandlebarsEngine((await import(/* webpackChunkName: "handlebars" */ "handlebars")).default),
+    eta: async () => createEtaEngine((await import(/* webpackChunkName: "eta" */ "eta")).Eta),
+};
+
+// Adapters already created, by engine name
+const adapters = new Map();
+
+/**
+ * Registers a template engine, replacing any engine with the same name.
+ * @param {string} name - The engine name (e.g. 'liquid').
+ * @param {Object|Function} engine - The adapter, or a function returning (a promise of) the adapter.
+ * @example register('upper', { compile: (source) => (data) => source.toUpperCase() });
+ */
+export function register(name, engine) {
+    engines[name] = engine;
+    adapters.delete(name);
+}
+
+/**
+ * Returns the adapter of an engine, loading the engine on first use.
+ * @param {string} name - The engine name.
+ * @returns {Promise<Object>} - The engine adapter.
+ * @throws {Error} If no engine is registered under that name.
+ */
+export async function load(name) {
+    if (adapters.has(name)) return adapters.get(name);
+
+    const engine = engines[name];
+    if (!engine) {
+        throw new Error(`Unknown template engine "${name}", expected one of ${Object.keys(engines).join(", ")}`);
+    }
+
+    const adapter = typeof engine === "function" ? await engine() : engine;
+    adapters.set(name, adapter);
+    return adapter;
+}
+
+/**
+ * Checks whether an engine is registered.
+ * @param {string} name - The engine name.
+ * @returns {boolean}
+ */
+export function has(name) {
+    return name in engines;
+}
+
+/**
+ * Mustache: partials are template strings, helpers are added to the data as lambdas.
+ * @returns {Object} - The engine adapter.
+ */
+function createMustacheEngine() {
+    return {
+        compile(source, tags) {
+            Mustache.parse(source, tags); // Parse once, Mustache keeps the tokens for the next renders
+            return (data, { partials = {}, helpers = {} } = {}) => Mustache.render(source, { ...helpers, ...data }, partials, tags);
+        },
+    };
+}
+
+/**
+ * Handlebars: partials and helpers are passed natively, in an environment of our own
+ * so the global Handlebars instance of the page is left untouched. Custom delimiters are not supported.
+ * @param {Object} Handlebars - The Handlebars module.
+ * @returns {Object} - The engine adapter.
+ */
+function createHandlebarsEngine(Handlebars) {
+    const environment = Handlebars.create();
+
+    return {
+        compile(source, tags) {
+            if (tags) console.warn("Handlebars does not support custom delimiters, the tags are ignored");
+
+            const template = environment.compile(source);
+            return (data, { partials = {}, helpers = {} } = {}) => template(data, { partials, helpers });
+        },
+    };
+}
+
+/**
+ * Eta: partials are loaded as named templates (`include('@name', it)`), helpers are added to the data (`it.name()`).
+ * One Eta instance is kept per set of delimiters.
+ * @param {Function} Eta - The Eta class.
+ * @returns {Object} - The engine adapter.
+ */
+function createEtaEngine(Eta) {
+    const instances = new Map();
+
+    const getInstance = (tags) => {
+        const key = tags ? tags.join(" ") : "";
+        if (!instances.has(key)) {
+            instances.set(key, { eta: new Eta(tags ? { tags } : {}), partials: new Map() });
+        }
+        return instances.get(key);
+    };
+
+    return {
+        compile(source, tags) {
+            const instance = getInstance(tags);
+            const template = instance.eta.compile(source);
+
+            return (data, { partials = {}, helpers = {} } = {}) => {
+                // Only (re)compile the partials whose source changed
+                for (const [name, partial] of Object.entries(partials)) {
+                    if (instance.partials.get(name) === partial) continue;
+                    instance.eta.loadTemplate(`@${name}`, partial);
+                    instance.partials.set(name, partial);
+                }
+                return template.call(instance.eta, { ...helpers, ...data }, {});
+            };
+        },
+    };
+}
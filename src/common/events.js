@@ -87,3 +87,24 @@ export function removeListener(eventType, callback) {
         }
     }
 }
+
+/**
+ * Delegates an event to a root element of its own, e.g. a component, instead of the shared container.
+ * 
+ * @param {HTMLElement} root - The element listening for the event.
+ * @param {string} selector - The CSS selector for the element(s) inside the root.
+ * @param {string} eventType - The event type to listen for (e.g., 'click').
+ * @param {Function} callback - The callback function, called with the event and the matching element.
+ * @returns {Function} - A function removing the listener.
+ */
+export function delegate(root, selector, eventType, callback) {
+    const delegatedCallback = (event) => {
+        const target = selector ? event.target.closest(selector) : root;
+        if (target && root.contains(target)) {
+            callback(event, target);
+        }
+    };
+
+    root.addEventListener(eventType, delegatedCallback);
+    return () => root.removeEventListener(eventType, delegatedCallback);
+}
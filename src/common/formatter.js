@@ -0,0 +1,233 @@
+import Translator from "./translator.js";
+import { registerFormatter } from "./message.js";
+import { registerHelper } from "./template.js";
+
+/**
+ * The Formatter module formats numbers, prices, dates and lists for the current language of the Translator,
+ * with the Intl API. The formatters are available:
+ * - As functions, e.g. `Formatter.currency(9.5, 'EUR')`.
+ * - In translations, as ICU arguments: `{price, number, currency}`, `{rate, number, percent}`, `{total, number, EUR}`,
+ *   `{day, date, long}`, `{at, time, short}`, `{updated, relative}` and `{names, list, disjunction}`.
+ * - In templates, as helpers (formatNumber, formatCurrency, formatPercent, formatDate, formatTime, formatRelative, formatList):
+ *   `{{formatCurrency price "EUR"}}` with Handlebars, `it.formatDate(day, 'long')` with Eta, and as section lambdas
+ *   formatting their content with Mustache: `{{#formatDate}}{{day}}{{/formatDate}}`.
+ *
+ * Numbers and dates follow the current language, even where a translation comes from a fallback language.
+ */
+
+// Define the Formatter object on top
+const Formatter = {
+    currency: 'USD',   // Currency of the 'currency' style when none is given
+    formats: new Map(), // Intl formatters by type, locale and options, creating them is slow
+};
+
+// Intl.NumberFormat options of the number styles
+const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' },
+    compact: { notation: 'compact' },
+};
+
+// Relative time units, with their length in seconds, from the longest
+const RELATIVE_UNITS = [
+    ['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]
+];
+
+/**
+ * Sets the currency used by the 'currency' style and by currency when none is given.
+ * @param {string} currency - The ISO 4217 currency code (e.g. 'EUR').
+ */
+export function setCurrency(currency) {
+    Formatter.currency = currency;
+}
+
+/**
+ * Formats a number.
+ * @param {number|string} value - The number.
+ * @param {string|Object} [style] - 'integer', 'percent', 'currency', 'compact', a currency code, or Intl.NumberFormat options.
+ * @param {Object} [options] - More Intl.NumberFormat options, and the locale overriding the current language.
+ * @returns {string}
+ * @example number(1234.5); // '1,234.5'
+ * @example number(0.25, 'percent'); // '25%'
+ */
+export function number(value, style, options = {}) {
+    return getFormat(Intl.NumberFormat, { ...getNumberStyle(style), ...options }).format(Number(value));
+}
+
+/**
+ * Formats a price.
+ * @param {number|string} value - The amount.
+ * @param {string} [currency] - The currency code, defaults to the one set with setCurrency.
+ * @param {Object} [options] - More Intl.NumberFormat options, and the locale.
+ * @returns {string}
+ * @example currency(9.5, 'EUR'); // '€9.50'
+ */
+export function currency(value, currency = Formatter.currency, options = {}) {
+    return number(value, { style: 'currency', currency }, options);
+}
+
+/**
+ * Formats a ratio as a percentage.
+ * @param {number|string} value - The ratio (0.25 for 25%).
+ * @param {Object} [options] - More Intl.NumberFormat options, and the locale.
+ * @returns {string}
+ */
+export function percent(value, options = {}) {
+    return number(value, 'percent', options);
+}
+
+/**
+ * Formats a date.
+ * @param {Date|number|string} value - The date, a timestamp or a date string.
+ * @param {string|Object} [style='medium'] - 'short', 'medium', 'long', 'full', or Intl.DateTimeFormat options.
+ * @param {Object} [options] - More Intl.DateTimeFormat options, and the locale.
+ * @returns {string}
+ * @example date('2024-03-05', 'long'); // 'March 5, 2024'
+ */
+export function date(value, style = 'medium', options = {}) {
+    const styleOptions = typeof style === 'string' ? { dateStyle: style } : style;
+    return getFormat(Intl.DateTimeFormat, { ...styleOptions, ...options }).format(toDate(value));
+}
+
+/**
+ * Formats the time of a date.
+ * @param {Date|number|string} value - The date, a timestamp or a date string.
+ * @param {string|Object} [style='short'] - 'short', 'medium', 'long', 'full', or Intl.DateTimeFormat options.
+ * @param {Object} [options] - More Intl.DateTimeFormat options, and the locale.
+ * @returns {string}
+ */
+export function time(value, style = 'short', options = {}) {
+    const styleOptions = typeof style === 'string' ? { timeStyle: style } : style;
+    return getFormat(Intl.DateTimeFormat, { ...styleOptions, ...options }).format(toDate(value));
+}
+
+/**
+ * Formats a relative time, either a date relative to now (the unit is picked) or a number of units.
+ * @param {Date|number|string} value - The date, or a number of units when a unit is given.
+ * @param {string} [unit] - The unit of the value (e.g. 'day', 'hour').
+ * @param {Object} [options] - Intl.RelativeTimeFormat options (numeric defaults to 'auto'), and the locale.
+ * @returns {string}
+ * @example relativeTime(-1, 'day'); // 'yesterday'
+ * @example relativeTime(Date.now() + 3 * 3600 * 1000); // 'in 3 hours'
+ */
+export function relativeTime(value, unit, options = {}) {
+    let amount = Number(value);
+
+    if (!unit) {
+        const seconds = (toDate(value).getTime() - Date.now()) / 1000;
+        const [name, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+        unit = name;
+        amount = Math.round(seconds / size);
+    }
+
+    return getFormat(Intl.RelativeTimeFormat, { numeric: 'auto', ...options }).format(amount, unit);
+}
+
+/**
+ * Formats a list.
+ * @param {Array<string>} items - The items.
+ * @param {string} [type='conjunction'] - 'conjunction' (and), 'disjunction' (or) or 'unit'.
+ * @param {Object} [options] - More Intl.ListFormat options, and the locale.
+ * @returns {string}
+ * @example list(['red', 'green', 'blue']); // 'red, green, and blue'
+ */
+export function list(items, type = 'conjunction', options = {}) {
+    return getFormat(Intl.ListFormat, { type, ...options }).format(Array.from(items, String));
+}
+
+/**
+ * Returns a cached Intl formatter for the current language, or the locale of the options.
+ * Unsupported locales fall back to the default language of the Translator.
+ * @param {Function} Format - The Intl constructor.
+ * @param {Object} options - The formatter options, with an optional locale.
+ * @returns {Object} - The Intl formatter.
+ */
+function getFormat(Format, { locale = getLocale(), ...options }) {
+    const key = `${Format.name}|${locale}|${JSON.stringify(options)}`;
+
+    if (!Formatter.formats.has(key)) {
+        let format;
+        try {
+            format = new Format(locale, options);
+        } catch (error) {
+            if (!(error instanceof RangeError) || locale === Translator.defaultLang) throw error;
+            format = new Format(Translator.defaultLang, options); // An unknown locale, the options may still be wrong
+        }
+        Formatter.formats.set(key, format);
+    }
+
+    return Formatter.formats.get(key);
+}
+
+/**
+ * Returns the locale of the formatters: the current language of the Translator, or its default language.
+ * @returns {string}
+ */
+function getLocale() {
+    return Translator.currentLang || Translator.defaultLang;
+}
+
+/**
+ * Returns the Intl.NumberFormat options of a number style.
+ * @param {string|Object} [style]
+ * @returns {Object}
+ */
+function getNumberStyle(style) {
+    if (!style) return {};
+    if (typeof style === 'object') return style;
+    if (style === 'currency') return { style: 'currency', currency: Formatter.currency };
+    if (/^[A-Z]{3}$/.test(style)) return { style: 'currency', currency: style };
+    return NUMBER_STYLES[style] || {};
+}
+
+/**
+ * Converts a date, a timestamp or a date string to a Date.
+ * @param {Date|number|string} value
+ * @returns {Date}
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return new Date(Number(value)); // A timestamp from a template
+    return new Date(value);
+}
+
+/**
+ * Turns a formatter into a template helper working with every engine.
+ * @param {Function} format - The formatter, called with the value and the other arguments.
+ * @param {number} arity - The number of arguments of the formatter before its options.
+ * @returns {Function} - The helper.
+ */
+function toHelper(format, arity) {
+    return function (...args) {
+        // Mustache calls lambdas without arguments, the section content is the value
+        if (!args.length) return (text, render) => format(render(text).trim());
+
+        // Handlebars passes its options last, the named arguments are Intl options (e.g. {{formatNumber n minimumFractionDigits=2}})
+        const last = args[args.length - 1];
+        if (last && typeof last === 'object' && 'hash' in last && 'data' in last) {
+            args.pop();
+            if (Object.keys(last.hash).length) {
+                args.length = arity; // The arguments not given keep their defaults
+                return format(...args, last.hash);
+            }
+        }
+
+        return format(...args);
+    };
+}
+
+// Formatters of the ICU arguments of the translations, e.g. {price, number, currency}
+registerFormatter('number', (value, style) => number(value, style));
+registerFormatter('date', (value, style) => date(value, style || undefined));
+registerFormatter('time', (value, style) => time(value, style || undefined));
+registerFormatter('relative', (value, style) => relativeTime(value, undefined, style ? { style } : {}));
+registerFormatter('list', (value, style) => list(value, style || undefined));
+
+// Helpers of the templates, e.g. {{formatCurrency price "EUR"}}
+registerHelper('formatNumber', toHelper(number, 2));
+registerHelper('formatCurrency', toHelper(currency, 2));
+registerHelper('formatPercent', toHelper(percent, 1));
+registerHelper('formatDate', toHelper(date, 2));
+registerHelper('formatTime', toHelper(time, 2));
+registerHelper('formatRelative', toHelper(relativeTime, 2));
+registerHelper('formatList', toHelper(list, 2));
@@ -50,3 +50,14 @@ export function isObject(which) {
     // Return true only if the value is an object, not null, and not an array
     return typeof which === "object" && which !== null && !Array.isArray(which);
 }
+
+/**
+ * Escapes the characters of a string that have a meaning in HTML.
+ *
+ * @param {any} value - The value to escape (converted to a string).
+ * @returns {string} - The escaped string, safe to insert as HTML text or attribute value.
+ */
+export function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, (char) => entities[char]);
+}
@@ -0,0 +1,330 @@
+/**
+ * History adapters read and write the current location for the Router, so it can run against
+ * the browser URL or headless (in Node, in tests, or inside a widget that must not touch the page URL).
+ *
+ * Every adapter exposes the same interface:
+ * - type: the routing mode it implements (see MODES).
+ * - read(): the current `{ route, query, hash, key, index }`, with the query as URLSearchParams,
+ *   a key identifying the history entry (used to restore its scroll position) and its position in the history
+ *   (used to tell back from forward).
+ * - href(route, query, hash): the URL of a route, for links.
+ * - push(route, query, hash) / replace(route, query, hash): change the location without a page load.
+ * - go(delta): move through the history; the listeners are called once it has moved.
+ * - listen(callback): call back when the location changes outside push/replace (back/forward),
+ *   returns a function that stops listening.
+ * - toRoute(href): the route path (with its query string and hash) a link points to, or null if it is outside the app.
+ * - open(url): open a URL in a new tab.
+ */
+
+/**
+ * Supported routing modes.
+ * - QUERY: the route lives in the `route` query parameter (e.g. `/?route=/about`).
+ * - PATH: the route is the URL pathname below the base path (e.g. `/about/42`).
+ * - HASH: the route lives in the URL hash (e.g. `/#/about/42`).
+ * - MEMORY: the route is kept in memory and the page URL is never touched.
+ */
+export const MODES = {
+  QUERY: "query",
+  PATH: "path",
+  HASH: "hash",
+  MEMORY: "memory",
+};
+
+// Base used to parse route paths when there is no page URL to resolve them against
+const LOCAL_ORIGIN = "http://localhost";
+
+/**
+ * Creates the history adapter for a routing mode.
+ * @param {string} mode - The routing mode (see MODES).
+ * @param {Object} [options] - Options of the adapter (base for PATH, initial for MEMORY).
+ * @returns {Object} - The history adapter.
+ * @example createHistory('memory', { initial: '/about' });
+ */
+export function createHistory(mode, options = {}) {
+  switch (mode) {
+    case MODES.QUERY:
+    case MODES.PATH:
+      return createBrowserHistory({ ...options, mode });
+    case MODES.HASH:
+      return createHashHistory();
+    case MODES.MEMORY:
+      return createMemoryHistory(options);
+    default:
+      throw new Error(`Invalid router mode ${mode}, expected one of ${Object.values(MODES).join(", ")}`);
+  }
+}
+
+/**
+ * Creates an adapter over the browser history, with the route in the pathname or in the `route` query parameter.
+ * @param {Object} [options]
+ * @param {string} [options.mode='path'] - MODES.PATH or MODES.QUERY.
+ * @param {string} [options.base=''] - Base path the app is served under, used in path mode.
+ * @returns {Object} - The history adapter.
+ */
+export function createBrowserHistory({ mode = MODES.PATH, base = "" } = {}) {
+  base = normalizeBase(base);
+
+  return {
+    type: mode,
+    base,
+
+    read() {
+      const query = new URLSearchParams(window.location.search);
+      const { hash } = window.location;
+      if (mode === MODES.PATH) {
+        return { route: stripBase(window.location.pathname, base), query, hash, key: getKey(), index: getIndex() };
+      }
+
+      const route = query.get("route");
+      query.delete("route");
+      return { route, query, hash, key: getKey(), index: getIndex() };
+    },
+
+    href(route, query = {}, hash = "") {
+      if (mode === MODES.PATH) return `${base}${route}${toQueryString(query)}${hash}`;
+
+      // Add the route property to the query
+      const queryString = new URLSearchParams({ ...query, route }).toString();
+      return `${window.location.pathname}?${queryString}${hash}`;
+    },
+
+    push(route, query, hash) {
+      window.history.pushState({ key: createKey(), index: getIndex() + 1 }, "", this.href(route, query, hash));
+    },
+
+    replace(route, query, hash) {
+      window.history.replaceState({ key: createKey(), index: getIndex() }, "", this.href(route, query, hash));
+    },
+
+    go(delta) {
+      window.history.go(delta);
+    },
+
+    listen(callback) {
+      window.addEventListener("popstate", callback);
+      return () => window.removeEventListener("popstate", callback);
+    },
+
+    toRoute(href) {
+      if (!href.startsWith("/")) return null;
+
+      const url = new URL(href, window.location.origin);
+
+      // In path mode only links below the base path belong to the app
+      if (mode === MODES.PATH) {
+        const route = stripBase(url.pathname, base);
+        return route === null ? null : `${route}${url.search}${url.hash}`;
+      }
+
+      if (!url.searchParams.has("route")) return href;
+
+      const route = url.searchParams.get("route");
+      url.searchParams.delete("route");
+      return `${route}${url.search}${url.hash}`;
+    },
+
+    open(url) {
+      window.open(url, "_blank");
+    },
+  };
+}
+
+/**
+ * Creates an adapter over the browser history with the route in the URL hash (e.g. `#/about?tab=1`).
+ * Links may point to `#/about` or to the route path `/about`. As the hash holds the route,
+ * routes cannot carry a fragment of their own.
+ * @returns {Object} - The history adapter.
+ */
+export function createHashHistory() {
+  return {
+    type: MODES.HASH,
+
+    read() {
+      const hash = window.location.hash.slice(1);
+      const { route, query } = hash.startsWith("/") ? parseRoute(hash) : parseRoute("/");
+      return { route, query, hash: "", key: getKey(), index: getIndex() };
+    },
+
+    href(route, query = {}) {
+      return `${window.location.pathname}${window.location.search}#${route}${toQueryString(query)}`;
+    },
+
+    push(route, query) {
+      window.history.pushState({ key: createKey(), index: getIndex() + 1 }, "", this.href(route, query));
+    },
+
+    replace(route, query) {
+      window.history.replaceState({ key: createKey(), index: getIndex() }, "", this.href(route, query));
+    },
+
+    go(delta) {
+      window.history.go(delta);
+    },
+
+    listen(callback) {
+      window.addEventListener("popstate", callback);
+      return () => window.removeEventListener("popstate", callback);
+    },
+
+    toRoute(href) {
+      if (href.startsWith("#/")) return href.slice(1);
+      return href.startsWith("/") ? href : null;
+    },
+
+    open(url) {
+      window.open(url, "_blank");
+    },
+  };
+}
+
+/**
+ * Creates an adapter that keeps the history in memory, without touching the page URL.
+ * @param {Object} [options]
+ * @param {string} [options.initial='/'] - The initial route path, optionally with a query string.
+ * @returns {Object} - The history adapter, whose `entries` and `index` expose the history stack.
+ */
+export function createMemoryHistory({ initial = "/" } = {}) {
+  const listeners = [];
+
+  return {
+    type: MODES.MEMORY,
+    entries: [{ ...parseRoute(initial), key: createKey() }],
+    index: 0,
+
+    read() {
+      const { route, query, hash, key } = this.entries[this.index];
+      return { route, query: new URLSearchParams(query), hash, key, index: this.index };
+    },
+
+    href(route, query = {}, hash = "") {
+      return `${route}${toQueryString(query)}${hash}`;
+    },
+
+    push(route, query = {}, hash = "") {
+      // A new entry drops the entries after the current one, like the browser does
+      this.entries.splice(this.index + 1, Infinity, { route, query: new URLSearchParams(query), hash, key: createKey() });
+      this.index++;
+    },
+
+    replace(route, query = {}, hash = "") {
+      this.entries[this.index] = { route, query: new URLSearchParams(query), hash, key: createKey() };
+    },
+
+    go(delta) {
+      const index = this.index + delta;
+      if (index < 0 || index >= this.entries.length || delta === 0) return;
+
+      this.index = index;
+      listeners.forEach(callback => callback());
+    },
+
+    listen(callback) {
+      listeners.push(callback);
+      return () => listeners.splice(listeners.indexOf(callback), 1);
+    },
+
+    toRoute(href) {
+      return href.startsWith("/") ? href : null;
+    },
+
+    open(url) {
+      console.warn(`Memory history cannot open ${url} in a new tab`);
+    },
+  };
+}
+
+/**
+ * Parses a route path with an optional query string and hash.
+ * @param {string} path - The route path (e.g. '/about/42?tab=1#team').
+ * @returns {Object} - The normalized route, its query as URLSearchParams and its hash ('' when missing).
+ */
+export function parseRoute(path) {
+  const url = new URL(path, LOCAL_ORIGIN);
+  return { route: normalizePath(decodePath(url.pathname)), query: url.searchParams, hash: url.hash };
+}
+
+/**
+ * Normalizes a base path to a leading slash without a trailing one ('' for the root).
+ * @param {string} base - The base path (e.g. 'app/', '/app').
+ * @returns {string} - The normalized base path (e.g. '/app').
+ */
+export function normalizeBase(base = "") {
+  const trimmed = String(base).replace(/^\/+|\/+$/g, "");
+  return trimmed ? `/${trimmed}` : "";
+}
+
+/**
+ * Removes trailing slashes from a route path, keeping the root as '/'.
+ * @param {string} path - The route path.
+ * @returns {string} - The normalized route path.
+ */
+export function normalizePath(path) {
+  return path.length > 1 ? path.replace(/\/+$/, "") || "/" : path;
+}
+
+/**
+ * Decodes the percent-encoded characters of a URL pathname.
+ * @param {string} pathname - The URL pathname (e.g. '/caf%C3%A9').
+ * @returns {string} - The decoded pathname, or the pathname as is when it is malformed (e.g. '/%E0%A4%A'),
+ *                     which then matches no route and shows the 404 view.
+ */
+function decodePath(pathname) {
+  try {
+    return decodeURI(pathname);
+  } catch (error) {
+    return pathname;
+  }
+}
+
+/**
+ * Converts a URL pathname to a route by removing the base path.
+ * @param {string} pathname - The URL pathname (e.g. '/app/about').
+ * @param {string} base - The normalized base path (e.g. '/app').
+ * @returns {string|null} - The route (e.g. '/about'), or null if the pathname is outside the base path.
+ */
+export function stripBase(pathname, base) {
+  pathname = decodePath(pathname);
+  if (!base) return normalizePath(pathname);
+  if (pathname === base) return "/";
+  if (!pathname.startsWith(`${base}/`)) return null;
+  return normalizePath(pathname.slice(base.length));
+}
+
+/**
+ * Creates a key identifying a history entry.
+ * @returns {string}
+ */
+function createKey() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Returns the key of the current browser history entry, giving one to entries created outside the router.
+ * @returns {string}
+ */
+function getKey() {
+  const state = window.history.state || {};
+  if (state.key) return state.key;
+
+  const key = createKey();
+  window.history.replaceState({ ...state, key }, "");
+  return key;
+}
+
+/**
+ * Returns the position of the current browser history entry, counting from the first entry of the app.
+ * @returns {number}
+ */
+function getIndex() {
+  return window.history.state?.index ?? 0;
+}
+
+/**
+ * Builds a query string with its leading '?', or an empty string when there are no parameters.
+ * @param {Object} [query={}] - The query parameters.
+ * @returns {string}
+ */
+function toQueryString(query = {}) {
+  const queryString = new URLSearchParams(query).toString();
+  return queryString ? `?${queryString}` : "";
+}
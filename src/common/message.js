@@ -0,0 +1,393 @@
+import { escapeHTML } from "./helpers.js";
+
+/**
+ * The Message module formats ICU MessageFormat strings for the Translator:
+ * - `{name}` and nested `{address.city}` arguments.
+ * - `{count, plural, =0 {no items} one {# item} other {# items}}`, with the CLDR plural categories of the locale
+ *   (zero, one, two, few, many, other), exact `=n` matches, `offset:n` and `#` for the (offset) number.
+ * - `{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}`.
+ * - `{gender, select, female {her} male {his} other {their}}`.
+ * - Nested arguments inside the sub-messages, and apostrophe quoting (`''` for a quote, `'{'` or `'{text}'` for literal
+ *   braces, `'#'` for a literal '#'). Unlike ICU, a quoted text must end with a brace, so elided articles
+ *   such as `l'{site}` keep their argument.
+ *
+ * Arguments without a value are kept as written, so missing parameters stay visible, and values their formatter
+ * rejects are written unformatted.
+ */
+
+// Define the Message object on top
+const Message = {
+    parsed: new Map(),      // Parsed messages (or their syntax error) by source, messages repeat a lot across renders
+    pluralRules: new Map(), // Intl.PluralRules by locale and type
+    formatters: {},         // Formatters of simple arguments by type, e.g. { number: (value, style, locale) => string }
+    failed: new WeakSet(),  // Parsed arguments whose formatter failed, logged once
+};
+
+/**
+ * Formats a message with its arguments.
+ * @param {string} message - The ICU MessageFormat message.
+ * @param {Object} [params={}] - The argument values.
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - The locale whose plural rules and number format are used.
+ * @param {boolean} [options.escape=false] - Whether to HTML-escape the argument values.
+ * @returns {string} - The formatted message.
+ * @throws {SyntaxError} If the message is not valid ICU MessageFormat.
+ * @example format('{count, plural, one {# item} other {# items}}', { count: 3 }, { locale: 'en' }); // '3 items'
+ */
+export function format(message, params = {}, { locale = 'en', escape = false } = {}) {
+    return formatParts(parse(message), params, { locale, escapeValue: escape ? escapeHTML : String });
+}
+
+/**
+ * Registers the formatter of a simple argument type, e.g. `{price, number, currency}`.
+ * @param {string} type - The argument type (e.g. 'number', 'date').
+ * @param {Function} formatter - Called with the value, the style (or undefined) and the locale, returns a string.
+ */
+export function registerFormatter(type, formatter) {
+    Message.formatters[type] = formatter;
+}
+
+/**
+ * Parses a message into parts, using the cache. Invalid messages are cached too, with their error.
+ * @param {string} message
+ * @returns {Array} - Strings and argument nodes.
+ * @throws {SyntaxError} The same error object every time for the same message.
+ */
+export function parse(message) {
+    if (!Message.parsed.has(message)) {
+        const parser = { source: message, index: 0 };
+        try {
+            const parts = parseMessage(parser, false);
+            if (parser.index < message.length) fail(parser, 'Unexpected "}"');
+            Message.parsed.set(message, parts);
+        } catch (error) {
+            Message.parsed.set(message, error);
+        }
+    }
+
+    const parsed = Message.parsed.get(message);
+    if (parsed instanceof SyntaxError) throw parsed;
+    return parsed;
+}
+
+/**
+ * Parses text and arguments until the end of the source or the "}" closing a sub-message.
+ * @param {Object} parser - The source and the current index.
+ * @param {boolean} inPlural - Whether '#' stands for the plural number.
+ * @returns {Array}
+ */
+function parseMessage(parser, inPlural) {
+    const parts = [];
+    let text = '';
+
+    const flush = () => {
+        if (text) parts.push(text);
+        text = '';
+    };
+
+    while (parser.index < parser.source.length) {
+        const char = parser.source[parser.index];
+
+        if (char === "'") {
+            text += parseQuoted(parser, inPlural);
+        } else if (char === '{') {
+            flush();
+            parts.push(parseArgument(parser, inPlural));
+        } else if (char === '}') {
+            break;
+        } else if (char === '#' && inPlural) {
+            flush();
+            parts.push({ type: 'pound' });
+            parser.index++;
+        } else {
+            text += char;
+            parser.index++;
+        }
+    }
+
+    flush();
+    return parts;
+}
+
+/**
+ * Parses an apostrophe: `''` is a quote, `'#'` a literal '#' in plurals, and a quote before a brace starts a quoted
+ * literal when a closing quote follows a brace (`'{'`, `'{text}'`), otherwise the apostrophe is plain
+ * text (`l'{site}`).
+ * @param {Object} parser
+ * @param {boolean} inPlural
+ * @returns {string} - The literal text.
+ */
+function parseQuoted(parser, inPlural) {
+    const { source } = parser;
+    const next = source[parser.index + 1];
+
+    if (next === "'") {
+        parser.index += 2;
+        return "'";
+    }
+
+    if (next === '#' && inPlural && source[parser.index + 2] === "'") {
+        parser.index += 3;
+        return '#'; // A literal '#' in a plural
+    }
+
+    if (next === '{' || next === '}') {
+        // Find the closing quote, skipping the doubled ones
+        let text = '';
+        let index = parser.index + 1;
+        while (index < source.length) {
+            if (source[index] === "'") {
+                if (source[index + 1] !== "'") break;
+                text += "'";
+                index += 2;
+            } else {
+                text += source[index++];
+            }
+        }
+
+        if (index < source.length && /[{}]$/.test(text)) {
+            parser.index = index + 1; // After the closing quote
+            return text;
+        }
+    }
+
+    parser.index++;
+    return "'";
+}
+
+/**
+ * Parses an argument, from its "{" to its "}".
+ * @param {Object} parser
+ * @param {boolean} inPlural
+ * @returns {Object} - The argument node.
+ */
+function parseArgument(parser, inPlural) {
+    const start = parser.index;
+    parser.index++; // "{"
+
+    const name = readUntil(parser, /[,}]/).trim();
+    if (!name) fail(parser, 'Missing argument name');
+    expectMore(parser);
+
+    if (parser.source[parser.index] === '}') {
+        parser.index++;
+        return { type: 'argument', name, raw: parser.source.slice(start, parser.index) };
+    }
+
+    parser.index++; // ","
+    const type = readUntil(parser, /[,}]/).trim();
+    expectMore(parser);
+
+    if (parser.source[parser.index] === '}') {
+        parser.index++;
+        return { type: 'argument', name, format: type, raw: parser.source.slice(start, parser.index) };
+    }
+
+    parser.index++; // ","
+
+    if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+        const node = { type, name, offset: 0, options: {}, raw: '' };
+        parseOptions(parser, node, type === 'select' ? inPlural : true);
+        node.raw = parser.source.slice(start, parser.index);
+        return node;
+    }
+
+    // Simple argument with a style, e.g. {price, number, currency}
+    const style = readUntil(parser, /}/).trim();
+    expectMore(parser);
+    parser.index++;
+    return { type: 'argument', name, format: type, style, raw: parser.source.slice(start, parser.index) };
+}
+
+/**
+ * Parses the `selector {message}` options of a plural or select argument, and its closing "}".
+ * @param {Object} parser
+ * @param {Object} node - The argument node receiving the options and offset.
+ * @param {boolean} inPlural - Whether '#' stands for a number in the sub-messages.
+ */
+function parseOptions(parser, node, inPlural) {
+    const { source } = parser;
+
+    while (true) {
+        skipWhitespace(parser);
+        if (parser.index >= source.length) fail(parser, `Unclosed ${node.type} argument "${node.name}"`);
+        if (source[parser.index] === '}') break;
+
+        const selector = readUntil(parser, /[\s{}]/);
+        skipWhitespace(parser);
+
+        if (selector.startsWith('offset:') && node.type === 'plural') {
+            node.offset = Number(selector.slice(7) || readUntil(parser, /[\s{}]/));
+            continue;
+        }
+
+        if (!selector || source[parser.index] !== '{') fail(parser, `Expected a message for "${selector}"`);
+        parser.index++; // "{"
+        node.options[selector] = parseMessage(parser, inPlural);
+        if (source[parser.index] !== '}') fail(parser, `Unclosed message for "${selector}"`);
+        parser.index++; // "}"
+    }
+
+    if (node.options.other === undefined) fail(parser, `Missing "other" option in ${node.type} argument "${node.name}"`);
+    parser.index++; // "}"
+}
+
+/**
+ * Formats parsed parts.
+ * @param {Array} parts
+ * @param {Object} params
+ * @param {Object} options - The locale, the escape function and the current plural number.
+ * @returns {string}
+ */
+function formatParts(parts, params, options) {
+    let result = '';
+
+    for (const part of parts) {
+        if (typeof part === 'string') {
+            result += part;
+            continue;
+        }
+
+        if (part.type === 'pound') {
+            result += options.number === undefined ? '#' : formatNumber(options.number, options.locale);
+            continue;
+        }
+
+        const value = getValue(params, part.name);
+        if (value === undefined) {
+            result += part.raw; // Keep the argument if the value is missing
+            continue;
+        }
+
+        switch (part.type) {
+            case 'plural':
+            case 'selectordinal': {
+                const number = Number(value) - part.offset;
+                const exact = part.options[`=${Number(value)}`];
+                const category = getPluralRules(options.locale, part.type === 'plural' ? 'cardinal' : 'ordinal').select(number);
+                result += formatParts(exact || part.options[category] || part.options.other, params, { ...options, number });
+                break;
+            }
+            case 'select':
+                result += formatParts(part.options[String(value)] || part.options.other, params, options);
+                break;
+            default:
+                result += options.escapeValue(formatValue(part, value, options.locale));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Formats the value of a simple argument with the formatter of its type.
+ * A value the formatter rejects (e.g. an invalid date or currency code) is written as it is, the rest of the message
+ * is still formatted.
+ * @param {Object} part - The parsed argument.
+ * @param {any} value
+ * @param {string} locale
+ * @returns {any}
+ */
+function formatValue(part, value, locale) {
+    const formatter = Message.formatters[part.format];
+    if (!formatter) return value;
+
+    try {
+        return formatter(value, part.style, locale);
+    } catch (error) {
+        if (!Message.failed.has(part)) {
+            console.warn(`Could not format ${part.raw}:`, error.message);
+            Message.failed.add(part); // Parsed messages are cached, so the argument is logged once
+        }
+        return value;
+    }
+}
+
+/**
+ * Reads a value by its dotted name (e.g. 'address.city').
+ * @param {Object} params
+ * @param {string} name
+ * @returns {any} - The value, or undefined if it is missing.
+ */
+function getValue(params, name) {
+    let value = params;
+    for (const key of name.split('.')) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Returns the plural rules of a locale, falling back to English for unknown locales.
+ * @param {string} locale
+ * @param {string} type - 'cardinal' or 'ordinal'.
+ * @returns {Intl.PluralRules}
+ */
+function getPluralRules(locale, type) {
+    const key = `${locale}|${type}`;
+    if (!Message.pluralRules.has(key)) {
+        let rules;
+        try {
+            rules = new Intl.PluralRules(locale, { type });
+        } catch (error) {
+            rules = new Intl.PluralRules('en', { type });
+        }
+        Message.pluralRules.set(key, rules);
+    }
+    return Message.pluralRules.get(key);
+}
+
+/**
+ * Formats the number of a '#' for the locale, with the number formatter when one is registered.
+ * @param {number} number
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatNumber(number, locale) {
+    const formatter = Message.formatters.number;
+    if (formatter) return formatter(number, undefined, locale);
+
+    try {
+        return new Intl.NumberFormat(locale).format(number);
+    } catch (error) {
+        return String(number);
+    }
+}
+
+/**
+ * Reads characters until one matches a pattern (not included).
+ * @param {Object} parser
+ * @param {RegExp} pattern
+ * @returns {string}
+ */
+function readUntil(parser, pattern) {
+    const start = parser.index;
+    while (parser.index < parser.source.length && !pattern.test(parser.source[parser.index])) parser.index++;
+    return parser.source.slice(start, parser.index);
+}
+
+/**
+ * Skips whitespace.
+ * @param {Object} parser
+ */
+function skipWhitespace(parser) {
+    readUntil(parser, /\S/);
+}
+
+/**
+ * Throws a syntax error if the source ends inside an argument.
+ * @param {Object} parser
+ */
+function expectMore(parser) {
+    if (parser.index >= parser.source.length) fail(parser, 'Unclosed argument');
+}
+
+/**
+ * Throws a syntax error pointing at the current position.
+ * @param {Object} parser
+ * @param {string} reason
+ */
+function fail(parser, reason) {
+    throw new SyntaxError(`${reason} at position ${parser.index} in message "${parser.source}"`);
+}
@@ -0,0 +1,160 @@
+/**
+ * The Morph module patches an element so its content matches new HTML, instead of replacing it with innerHTML.
+ * Elements that stay in place keep their focus, caret, scroll position, form input and event listeners.
+ *
+ * - Children with a `data-key` attribute are matched by key, so reordered list items are moved rather than rebuilt.
+ * - Elements with a `data-morph-skip` attribute are kept untouched, with their children, once they exist.
+ * - Custom elements (e.g. components) only get their attributes updated, as they render their own content.
+ */
+
+// Attribute matching the children of an element across renders
+const KEY_ATTRIBUTE = "data-key";
+
+// Attribute of elements that must be preserved untouched
+const SKIP_ATTRIBUTE = "data-morph-skip";
+
+/**
+ * Patches the children of an element to match an HTML string.
+ * @param {HTMLElement} target - The element to patch.
+ * @param {string} html - The new inner HTML of the element.
+ * @returns {HTMLElement} - The patched element.
+ * @example morph(document.querySelector('#flxy'), '<ul><li data-key="1">One</li></ul>');
+ */
+export function morph(target, html) {
+    // Parse like innerHTML would in this element, so scripts are not run and table content stays valid
+    const source = target.ownerDocument.createElement(isCustomElement(target) ? "div" : target.localName);
+    source.innerHTML = html;
+
+    morphChildren(target, source);
+    return target;
+}
+
+/**
+ * Patches the children of a node to match the children of another.
+ * @param {Node} from - The live node.
+ * @param {Node} to - The node holding the new children.
+ */
+function morphChildren(from, to) {
+    const keyed = new Map();
+    for (const child of from.childNodes) {
+        const key = getKey(child);
+        if (key !== null) keyed.set(key, child);
+    }
+
+    let cursor = from.firstChild;
+
+    for (const next of Array.from(to.childNodes)) {
+        const key = getKey(next);
+        let match = null;
+
+        if (key !== null) {
+            match = keyed.get(key) || null;
+            keyed.delete(key); // A key is only used once
+            if (match && !isSameNode(match, next)) match = null;
+        } else if (cursor && getKey(cursor) === null && isSameNode(cursor, next)) {
+            match = cursor;
+        }
+
+        if (!match) {
+            from.insertBefore(next, cursor);
+            continue;
+        }
+
+        if (match === cursor) {
+            cursor = cursor.nextSibling;
+        } else {
+            from.insertBefore(match, cursor); // Move a keyed node into place
+        }
+        morphNode(match, next);
+    }
+
+    // Remove the nodes that are not part of the new content
+    while (cursor) {
+        const nextSibling = cursor.nextSibling;
+        from.removeChild(cursor);
+        cursor = nextSibling;
+    }
+}
+
+/**
+ * Patches a node to match another node of the same type.
+ * @param {Node} from - The live node.
+ * @param {Node} to - The new node.
+ */
+function morphNode(from, to) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+        return;
+    }
+
+    if (from.hasAttribute(SKIP_ATTRIBUTE)) return;
+
+    morphFormState(from, to);
+    morphAttributes(from, to);
+    if (!isCustomElement(from)) morphChildren(from, to);
+}
+
+/**
+ * Copies the attributes of the new element, removing the ones it no longer has.
+ * @param {Element} from - The live element.
+ * @param {Element} to - The new element.
+ */
+function morphAttributes(from, to) {
+    for (const { name } of Array.from(from.attributes)) {
+        if (!to.hasAttribute(name)) from.removeAttribute(name);
+    }
+    for (const { name, value } of Array.from(to.attributes)) {
+        if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+    }
+}
+
+/**
+ * Updates the live value of form fields only when the template changed it,
+ * so what the user is typing survives a re-render with the same data.
+ * @param {Element} from - The live element.
+ * @param {Element} to - The new element.
+ */
+function morphFormState(from, to) {
+    switch (from.localName) {
+        case "input":
+            if (from.getAttribute("value") !== to.getAttribute("value")) from.value = to.getAttribute("value") ?? "";
+            if (from.hasAttribute("checked") !== to.hasAttribute("checked")) from.checked = to.hasAttribute("checked");
+            break;
+        case "textarea":
+            if (from.defaultValue !== to.defaultValue) from.value = to.defaultValue;
+            break;
+        case "option":
+            if (from.hasAttribute("selected") !== to.hasAttribute("selected")) from.selected = to.hasAttribute("selected");
+            break;
+    }
+}
+
+/**
+ * Checks whether a live node can be patched into a new node rather than replaced.
+ * @param {Node} from - The live node.
+ * @param {Node} to - The new node.
+ * @returns {boolean}
+ */
+function isSameNode(from, to) {
+    if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) return false;
+    if (from.nodeType !== Node.ELEMENT_NODE) return true;
+    return from.id === to.id; // Elements with a different id are different elements
+}
+
+/**
+ * Checks whether an element is a defined custom element.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isCustomElement(element) {
+    return element.localName.includes("-") && typeof customElements !== "undefined" && Boolean(customElements.get(element.localName));
+}
+
+/**
+ * Returns the key of a node, or null if it has none.
+ * @param {Node} node
+ * @returns {string|null}
+ */
+function getKey(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(KEY_ATTRIBUTE) : null;
+}
@@ -1,18 +1,47 @@
 import STATES from "../utils/states.js";
+import { isObject, escapeHTML } from "./helpers.js";
+import { preload, render, renderHTML, getRegion, setDefaultSignal } from "./template.js";
+import { emit, on } from "./emitter.js";
+import { MODES, createHistory, normalizeBase, normalizePath, parseRoute } from "./history.js";
+import * as Scroll from "./scroll.js";
+import * as Transition from "./transition.js";
+import { loadNamespaces } from "./translator.js";
+
+export { MODES } from "./history.js";
 
 
 /**
  * ErrorHandler is responsible for handling and logging errors throughout the routing system.
  */
 const ErrorHandler = {
+  views: {}, // Error views registered per status code, or under 'default'.
+
   /**
-   * Handles errors by logging the error code and message.
+   * Handles errors by logging them, emitting `router:error` and rendering the error view into the container.
+   * The view registered for the status is used, then the 'default' one, then a minimal built-in view.
    * @param {number} errorCode - The HTTP status code for the error.
    * @param {string} message - A detailed description of the error.
+   * @param {Error} [exception] - The original exception, if any.
+   * @param {Object} [context] - The context of the route that failed.
    */
-  handle(errorCode, message) {
-    console.error(`Error ${errorCode}: ${message}`);
-    // Add custom fallback behavior (e.g., redirect to a specific error page)
+  async handle(errorCode, message, exception, context) {
+    console.error(`Error ${errorCode}: ${message}`, exception || "");
+
+    const details = { status: errorCode, message, error: exception, context };
+    emit("router:error", details);
+
+    // A failed Template.render may already show its own error template
+    if (exception?.fallback) return;
+
+    const view = this.views[errorCode] || this.views.default;
+    const options = { signal: context?.signal };
+    try {
+      if (view?.handler) return await view.handler(details);
+      if (view?.template) return await render(view.template, details, {}, undefined, options);
+      renderHTML(`<div class="flxy-error"><h1>${errorCode}</h1><p>${escapeHTML(message)}</p></div>`, options);
+    } catch (viewError) {
+      console.error(`Failed to render the error view for ${errorCode}`, viewError);
+    }
   },
 };
 
@@ -23,129 +52,677 @@ const ErrorHandler = {
 
 // Defining the object and properties at the top
 const Router = {
+  mode: MODES.QUERY, // The routing mode (see MODES).
+  base: "", // Base path the app is served under in path mode (e.g. '/app').
+  adapter: null, // The history adapter reading and writing the location (see history.js).
+  unlisten: null, // Stops listening to the location changes of the adapter.
+  interceptLinks: true, // Whether clicks on internal links are turned into navigations.
+  initialized: false, // Whether the document listeners have been attached.
   currentPath: null, // The current active route path.
-  currentQuery: new URLSearchParams(window.location.search), // Stores the current query parameters.
+  currentRoute: null, // The route read from the URL (e.g. '/about/42').
+  currentQuery: new URLSearchParams(), // Stores the current query parameters.
+  currentHash: "", // The URL fragment of the current route (e.g. '#team').
+  currentKey: null, // Key of the current history entry, used to save its scroll position.
+  currentIndex: 0, // Position of the current history entry, used to tell back from forward.
+  restoring: false, // Whether the next location change puts back an entry whose leave was vetoed.
+  navigationType: "load", // How the next route is reached: 'load', 'push', 'pop' (back/forward) or 'reload'.
+  direction: "forward", // Direction of the next route in the history: 'forward' or 'back'.
+  transition: false, // Name of the page transition between routes, or false (see configure).
+  scroll: true, // Scroll behaviour after a render: true (default), false, or a function (see configure).
   listeners: [], // Array to store route change listeners.
   history: [], // Stores the history of navigated routes.
   routes: {}, // Registered routes and their associated handlers.
+  names: {}, // Route names mapped to their full route paths.
+  ranked: null, // Dynamic route names sorted by specificity, rebuilt after a registration.
   routeStates: {}, // The current state of each route (e.g., loading, success, error).
   middlewares: [], // Array of middlewares to execute before handling the route.
+  active: [], // The chain of route levels (layouts first) rendered by the last navigation.
+  context: null, // The context of the last handled route, passed to beforeLeave hooks.
+  redirects: 0, // Consecutive guard redirects, used to stop redirect loops.
+  maxRedirects: 10, // Maximum consecutive guard redirects before giving up.
+  navigating: false, // Whether a navigation is being handled.
+  controller: null, // AbortController of the navigation being handled.
+  sequence: 0, // Incremented per navigation request, so only the latest one proceeds.
+  dataCache: new Map(), // Results of route loaders, keyed by route, params and query.
+  dataTtl: 60000, // Default time (in ms) a loader result stays cached.
+  prefetch: true, // Whether hovering or focusing a link prefetches its route.
 };
 
 /**
- * Initializes the router by setting the current route and listening for browser history changes.
- * @example Router.init();
+ * Initializes the router by setting the current route and listening for history changes.
+ * The current route is rendered again when the language changes (see Translator.setLanguage).
+ * Calling it again only updates the configuration.
+ * @param {Object} [options] - Optional router configuration (see configure).
+ * @example
+ * Router.init({ mode: 'path', base: '/app' });
+ * Router.init({ mode: 'memory', initial: '/about' }); // Headless, e.g. in tests or widgets
  */
-export const init = () => {
-  preventDefault();
-  window.addEventListener("popstate", () => {
-    Router.currentQuery = new URLSearchParams(window.location.search);
-    handle();
+export const init = (options = {}) => {
+  configure(options);
+  if (Router.initialized) return;
+  Router.initialized = true;
+
+  on("translator:changed", () => {
+    if (Router.currentPath) reload();
   });
+
+  if (typeof document !== "undefined") {
+    preventDefault();
+    // The memory history leaves the page location, and so its scroll restoration, to the host page
+    if (Router.mode !== MODES.MEMORY) Scroll.init();
+  }
+};
+
+/**
+ * Configures how routes are read from and written to the location.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - The routing mode (see MODES): 'query' (default), 'path', 'hash' or 'memory'.
+ * @param {string} [options.base] - Base path the app is served under, used in path mode.
+ * @param {string} [options.initial] - The initial route of the memory mode (e.g. '/about?tab=1').
+ * @param {Object} [options.history] - A custom history adapter (see history.js), in place of the mode.
+ * @param {boolean} [options.interceptLinks] - Whether clicks on internal links navigate, defaults to false in memory mode.
+ * @param {number} [options.dataTtl] - Default time (in ms) a loader result stays cached.
+ * @param {boolean} [options.prefetch] - Whether hovering or focusing a link prefetches its route.
+ * @param {boolean|function} [options.scroll] - After a render the router scrolls to the `#fragment` target,
+ *                                              restores the saved position on back/forward, or scrolls to the top.
+ *                                              Pass false to leave scrolling alone, or a function receiving the
+ *                                              context and `{ type, hash, saved }` to scroll yourself.
+ *                                              Routes can override it with their own `scroll` option.
+ * @param {string|false} [options.transition] - Name of the transition animating the page swap between routes
+ *                                               (see transition.js), or false. Routes can override it with their
+ *                                               own `transition` option.
+ * @example Router.configure({ mode: 'path', base: '/app' });
+ */
+export const configure = ({
+  mode = Router.mode, base = Router.base, initial, history, interceptLinks,
+  dataTtl = Router.dataTtl, prefetch = Router.prefetch, scroll = Router.scroll, transition = Router.transition
+} = {}) => {
+  base = normalizeBase(base);
+
+  // Keep the adapter, and so the memory history, unless the location setup changes
+  if (history || !Router.adapter || mode !== Router.mode || base !== Router.base || initial !== undefined) {
+    Router.unlisten?.();
+    Router.adapter = history || createHistory(mode, { base, initial });
+    Router.unlisten = Router.adapter.listen(onLocationChange);
+    Router.interceptLinks = Router.adapter.type !== MODES.MEMORY;
+    mode = Router.adapter.type;
+  }
+
+  Router.mode = mode;
+  Router.base = base;
+  Router.interceptLinks = interceptLinks ?? Router.interceptLinks;
+  Router.dataTtl = dataTtl;
+  Router.prefetch = prefetch;
+  Router.scroll = scroll;
+  Router.transition = transition;
+  syncLocation();
+};
+
+/**
+ * Handles a location change made outside the router (back/forward).
+ * The location already moved, so a vetoed leave moves back to the previous entry.
+ */
+const onLocationChange = async () => {
+  if (Router.restoring) {
+    Router.restoring = false;
+    syncLocation();
+    return;
+  }
+
+  const sequence = ++Router.sequence;
+  const previous = { route: Router.currentRoute, query: getCurrentQuery(), url: getCurrentUrl(), index: Router.currentIndex };
+  saveScroll();
+  syncLocation();
+
+  // Moving between fragments of the same page only scrolls
+  if (getCurrentUrl() === previous.url) {
+    if (Router.mode !== MODES.MEMORY) Scroll.restore({ type: "pop", hash: Router.currentHash, saved: Scroll.get(Router.currentKey) });
+    return;
+  }
+
+  const allowed = await canLeave(Router.currentRoute, getCurrentQuery());
+  if (sequence !== Router.sequence) return;
+
+  if (!allowed) {
+    // Move back to the entry that was left, so the history (and its forward entries) stays as it was
+    const delta = previous.index - Router.currentIndex;
+    if (delta) {
+      Router.restoring = true;
+      go(delta);
+    } else {
+      Router.adapter.push(previous.route, previous.query); // An adapter without entry indexes
+      syncLocation();
+    }
+    return;
+  }
+
+  Router.navigationType = "pop";
+  Router.direction = Router.currentIndex < previous.index ? "back" : "forward";
+  handle();
+};
+
+/**
+ * Reads the current route and query parameters from the history adapter.
+ */
+export const syncLocation = () => {
+  const { route, query, hash = "", key = null, index = 0 } = Router.adapter.read();
+  Router.currentRoute = route;
+  Router.currentQuery = query;
+  Router.currentHash = hash;
+  Router.currentKey = key;
+  Router.currentIndex = index;
 };
 
+/**
+ * Builds the URL for a route according to the routing mode.
+ * @param {string} path - The route path (e.g. '/about/42').
+ * @param {Object} [query={}] - Query parameters to append.
+ * @param {string} [hash=''] - The URL fragment (e.g. '#team').
+ * @returns {string} - The URL to push to the history.
+ * @example Router.buildUrl('/about', { user: 'john' }); // '/app/about?user=john' in path mode
+ */
+export const buildUrl = (path, query = {}, hash = "") => {
+  return Router.adapter.href(path, query, hash);
+};
+
+/**
+ * Moves through the history, like the browser back and forward buttons.
+ * @param {number} delta - The number of entries to move (negative to go back).
+ * @example Router.go(-1);
+ */
+export const go = (delta) => {
+  Router.adapter.go(delta);
+};
+
+/**
+ * Goes back one entry in the history.
+ * @example Router.back();
+ */
+export const back = () => go(-1);
+
+/**
+ * Goes forward one entry in the history.
+ * @example Router.forward();
+ */
+export const forward = () => go(1);
+
 /**
  * Registers a new route with a handler and optional middleware.
+ * The handler may also be a route definition object, whose `children` are registered as nested routes
+ * below it. A parent route acts as a layout: its handler renders once and its children render into the
+ * outlet named by `outlet` (an element with a matching `data-outlet` attribute, see Template.render).
  * @param {string} routeName - The name of the route (e.g., '/home').
- * @param {function} handler - The function to execute when the route is matched.
+ * @param {function|Object} handler - The function to execute when the route is matched, or a route definition.
+ * @param {function} handler.handler - The route handler.
+ * @param {Array|function} [handler.middlewares] - Middleware functions of the route.
+ * @param {Object} [handler.children] - Nested routes, keyed by their path relative to the parent.
+ * @param {string} [handler.outlet='default'] - The outlet name children render into.
+ * @param {function} [handler.beforeLeave] - Called with the current context and the destination ({ path, query })
+ *                                           before the route is left; returning false cancels the navigation.
+ * @param {function} [handler.afterEnter] - Called with the context once the route has been handled.
+ * @param {function} [handler.lazy] - Loads the route module on first visit (see loadRoute), in place of `handler`.
+ * @param {string} [handler.name] - A unique name used to build URLs to the route (see url).
+ * @param {function} [handler.load] - Loads the route data after the middlewares pass; the result is cached
+ *                                    per route, params and query and given to the handler as `context.data`.
+ * @param {number} [handler.ttl] - Time (in ms) the loader result stays cached, defaults to the configured dataTtl.
+ * @param {Array<string>} [handler.templates] - Template paths preloaded with the route (see Template.preload).
+ * @param {Array<string>} [handler.translations] - Translation namespaces loaded with the route
+ *                                                 (see Translator.loadNamespaces), e.g. ['checkout'].
+ * @param {boolean} [handler.prefetch=true] - Set to false to skip prefetching the route from links. The loader data
+ *                                             of routes with middlewares is never prefetched (see prefetch).
+ * @param {boolean|function} [handler.scroll] - The scroll behaviour after the route renders (see configure).
+ * @param {string|false} [handler.transition] - The transition animating the swap to the route (see configure).
  * @param {Array|function} [middlewares=[]] - Middleware functions to execute before the handler.
+ *                                            Each one may return `true` to continue, `false` to block the route,
+ *                                            `{ status }` to show an error view (see registerError),
+ *                                            or `{ redirect, query }` to send the user elsewhere.
  * @example
  * Router.register('/home', (ctx) => console.log('Home'), [authMiddleware]);
+ * Router.register('/account', {
+ *   handler: (ctx) => Template.render('/account', ctx),
+ *   outlet: 'account',
+ *   children: {
+ *     '/profile': (ctx) => Template.render('/account/profile', ctx, {}, undefined, { outlet: ctx.outlet }),
+ *     '/billing': { handler: renderBilling, middlewares: [authMiddleware], beforeLeave: confirmUnsaved },
+ *   },
+ * }, [authMiddleware]);
+ * Router.register('/admin', renderAdmin, (ctx) => isAdmin() || { redirect: '/login', query: { next: ctx.path } });
+ * Router.register('/report', { lazy: () => import(/* webpackChunkName: "report" *\/ './pages/report.js') });
+ * Router.register('/users/:id', {
+ *   handler: (ctx) => Template.render('/user', ctx.data),
+ *   load: (ctx) => Api.get(`/users/${ctx.params.id}`, { signal: ctx.signal }),
+ *   templates: ['/user'],
+ * });
+ *
+ * Route paths support these dynamic segments, ranked by specificity when several routes match:
+ * - `:id` matches one segment.
+ * - `:id(\\d+)` matches one segment against a regex; numeric values are converted to numbers in `params`.
+ * - `:id?` matches an optional segment.
+ * - `*rest` (or `*`, stored as `wildcard`) matches the remaining segments and must come last.
  */
 export const register = (routeName, handler, middlewares = []) => {
+  const definition = isObject(handler) ? handler : { handler };
+  addRoute(routeName, { middlewares, ...definition }, null);
+};
+
+/**
+ * Validates a route definition and adds it, and its children, to the routes.
+ * @param {string} routeName - The route path relative to the parent.
+ * @param {Object} definition - The route definition (handler, middlewares, children, outlet).
+ * @param {string|null} parent - The full path of the parent route.
+ */
+const addRoute = (routeName, definition, parent) => {
+  const {
+    handler, children = {}, outlet = "default", beforeLeave, afterEnter, lazy, name, load, ttl, templates = [], prefetch,
+    scroll, transition, translations = []
+  } = definition;
+  const fullName = parent ? joinPaths(parent, routeName) : routeName;
+  const middlewares = toMiddlewares(definition.middlewares, fullName);
+
+  if (lazy !== undefined && typeof lazy !== "function") {
+    throw new Error(`Lazy loader should be a function for route ${fullName}`);
+  }
+
+  if (typeof handler !== "function" && !lazy) {
+    throw new Error(`Handler should be a function for route ${fullName}`);
+  }
+
+  if (load !== undefined && typeof load !== "function") {
+    throw new Error(`Loader should be a function for route ${fullName}`);
+  }
+
+  if (!Array.isArray(templates)) {
+    throw new Error(`Templates should be an array of paths for route ${fullName}`);
+  }
+
+  if (!Array.isArray(translations)) {
+    throw new Error(`Translations should be an array of namespaces for route ${fullName}`);
+  }
+
+  if ([beforeLeave, afterEnter].some(hook => hook !== undefined && typeof hook !== "function")) {
+    throw new Error(`beforeLeave and afterEnter should be functions for route ${fullName}`);
+  }
+
+  if (!isObject(children)) {
+    throw new Error(`Children should be an object of routes for route ${fullName}`);
+  }
+
+  if (fullName === parent) {
+    throw new Error(`Child route ${routeName} resolves to its parent route ${parent}`);
+  }
+
+  if (name !== undefined && Router.names[name] && Router.names[name] !== fullName) {
+    throw new Error(`Route name ${name} is already used by route ${Router.names[name]}`);
+  }
+
+  const { regex, segments, rank } = compileRoute(fullName);
+  const paramKeys = segments.filter(segment => segment.name).map(segment => segment.name);
+  const isDynamic = paramKeys.length > 0;
+
+  Router.routes[fullName] = {
+    handler, middlewares, isDynamic, paramKeys, regex, segments, rank, parent, outlet, beforeLeave, afterEnter, lazy, name,
+    load, ttl, templates, prefetch, scroll, transition, translations
+  };
+  if (name !== undefined) Router.names[name] = fullName;
+  Router.ranked = null;
+
+  Object.entries(children).forEach(([childName, child]) => {
+    addRoute(childName, isObject(child) ? child : { handler: child }, fullName);
+  });
+};
+
+/**
+ * Compiles a route path into a regex, its segments and its specificity rank.
+ * @param {string} routeName - The route path (e.g. '/users/:id(\\d+)/files/*path').
+ * @returns {Object} - The regex (with a named group per param), the segments and the rank
+ *                     (one score per segment: static 4, constrained 3, param 2, optional 1, wildcard 0).
+ */
+const compileRoute = (routeName) => {
+  const parts = routeName.split("/").filter(Boolean);
+  const segments = [];
+  const rank = [];
+  let source = "";
+
+  parts.forEach((part, index) => {
+    const wildcard = part.match(/^\*(\w*)$/);
+    const param = part.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+
+    if (wildcard) {
+      if (index !== parts.length - 1) {
+        throw new Error(`Wildcard should be the last segment of route ${routeName}`);
+      }
+      const name = wildcard[1] || "wildcard";
+      segments.push({ name, optional: true, wildcard: true });
+      source += `(?:/(?<${name}>.*))?`;
+      rank.push(0);
+    } else if (param) {
+      const [, name, constraint, optional] = param;
+      const group = `(?<${name}>${constraint || "[^/]+"})`;
+      segments.push({ name, constraint, optional: Boolean(optional) });
+      source += optional ? `(?:/${group})?` : `/${group}`;
+      rank.push(optional ? 1 : constraint ? 3 : 2);
+    } else {
+      segments.push({ value: part });
+      source += `/${part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+      rank.push(4);
+    }
+  });
+
+  return { regex: new RegExp(`^${source}/?$`), segments, rank };
+};
+
+/**
+ * Returns the dynamic route names, most specific first.
+ * Segment scores are compared from left to right; on a tie the shorter route wins.
+ * @returns {Array<string>}
+ */
+const getRankedRoutes = () => {
+  if (!Router.ranked) {
+    Router.ranked = Object.keys(Router.routes)
+      .filter(key => Router.routes[key].isDynamic)
+      .sort((a, b) => compareRank(Router.routes[a].rank, Router.routes[b].rank));
+  }
+  return Router.ranked;
+};
+
+/**
+ * Compares two route ranks for sorting, the more specific first.
+ * @param {Array<number>} a - The rank of the first route.
+ * @param {Array<number>} b - The rank of the second route.
+ * @returns {number}
+ */
+const compareRank = (a, b) => {
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    if (a[index] !== b[index]) return b[index] - a[index];
+  }
+  return a.length - b.length;
+};
+
+/**
+ * Normalizes and validates the middlewares of a route.
+ * @param {Array|function} [middlewares=[]] - A middleware function or an array of them.
+ * @param {string} routeName - The route the middlewares belong to, for error messages.
+ * @returns {Array<function>} - The middlewares as an array.
+ */
+const toMiddlewares = (middlewares = [], routeName) => {
   middlewares = typeof middlewares === "function" ? [middlewares] : middlewares;
 
   if (!Array.isArray(middlewares) || middlewares.some(mw => typeof mw !== "function")) {
     throw new Error(`Middleware should be a function or an array of functions for route ${routeName}`);
   }
+  return middlewares;
+};
 
-  if (typeof handler !== "function") {
-    throw new Error(`Handler should be a function for route ${routeName}`);
-  }
+/**
+ * Downloads the module of a lazy route on its first visit and merges it into the route.
+ * The module provides the handler as its default export or as `handler`, and may also export
+ * `middlewares` (run after the ones given to register), `templates` (paths preloaded with the module), `translations`,
+ * `beforeLeave`, `afterEnter`, `load` and `ttl`. While the module downloads the route is in the FETCHING state.
+ * @param {string} routeName - The full name of the route.
+ * @returns {Promise<Object>} - The loaded route.
+ * @example await Router.loadRoute('/report');
+ */
+export const loadRoute = async (routeName) => {
+  const route = Router.routes[routeName];
+  if (!route.lazy) return route;
+
+  // Concurrent visits share the same download
+  if (!route.loading) {
+    setState(routeName, STATES.FETCHING);
+    route.loading = (async () => {
+      const module = await route.lazy();
+      const {
+        default: fallback, handler = fallback, middlewares, templates = [], translations = [], beforeLeave, afterEnter, load, ttl
+      } = module;
+
+      if (typeof handler !== "function") {
+        throw new Error(`Lazy module should export a handler for route ${routeName}`);
+      }
 
-  const paramRegex = /:[^/]+/g;
-  const isDynamic = paramRegex.test(routeName);
+      await Promise.all([preload(templates), loadNamespaces(translations)]);
+      Object.assign(route, {
+        handler,
+        middlewares: [...route.middlewares, ...toMiddlewares(middlewares, routeName)],
+        beforeLeave: route.beforeLeave || beforeLeave,
+        afterEnter: route.afterEnter || afterEnter,
+        load: route.load || load,
+        ttl: route.ttl ?? ttl,
+        templates: [...route.templates, ...templates],
+        translations: [...route.translations, ...translations],
+        lazy: null,
+      });
+      setState(routeName, STATES.LOADING);
+      return route;
+    })().catch((error) => {
+      route.loading = null; // Retry on the next visit
+      setState(routeName, STATES.FAILED);
+      throw error;
+    });
+  }
+  return route.loading;
+};
 
-  Router.routes[routeName] = { handler, middlewares, isDynamic };
+/**
+ * Joins a parent route path and a child route path.
+ * @param {string} parent - The parent path (e.g. '/account').
+ * @param {string} child - The child path (e.g. '/profile').
+ * @returns {string} - The combined path (e.g. '/account/profile').
+ */
+const joinPaths = (parent, child) => {
+  const joined = `${parent.replace(/\/+$/, "")}/${child.replace(/^\/+/, "")}`;
+  return normalizePath(joined);
 };
 
 /**
  * Handles route changes, including executing middlewares and the route handler.
+ * A new call aborts the navigation in flight: its `context.signal` is aborted, and it neither
+ * notifies the onChange listeners nor calls its callback. Middlewares and handlers should pass the
+ * signal on to Api requests and Template.render so superseded work stops early; the renders a handler
+ * starts before its first await get it by default (see executeHandler).
  * @example Router.handle();
  */
 export const handle = async (callback = () => {}) => {
-  const query = getParsedQuery();
-  callback= typeof callback != "function" ? () => {} : callback;
-  if (!query.routeName) {
-    Router.navigating = false;
-    callback({status:404})
-    console.log("No route");
-    return;
-  }
+  Router.controller?.abort();
+  const controller = new AbortController();
+  const { signal } = controller;
+  Router.controller = controller;
+  Router.navigating = true;
 
-  const routeName = query.routeName;
-  const route = Router.routes[routeName] || Router.routes["/404"];
-  const { handler, middlewares } = route || {};
-  Router.currentPath = routeName;
+  // Captured now, as a newer navigation changes them
+  const navigation = {
+    type: Router.navigationType, direction: Router.direction, hash: Router.currentHash, key: Router.currentKey
+  };
+  Router.navigationType = "load";
+  Router.direction = "forward";
 
-  if (!handler) {
-    callback({status:404})
-    error(404);
-    return;
-  }
+  try {
+    const query = getParsedQuery();
+    callback= typeof callback != "function" ? () => {} : callback;
+    if (!query.queryRoute) {
+      callback({status:404})
+      console.log("No route");
+      return;
+    }
 
-  setState(routeName, STATES.LOADING);
+    // Unknown routes fall back to the '/404' route when one is registered
+    const routeName = query.routeName || (Router.routes["/404"] ? "/404" : null);
+    Router.currentPath = routeName || query.queryRoute;
 
-  const context = {
-    path: Router.currentPath,
-    query: getCurrentQuery(),
-    params: query.params,  // Parameters extracted from the route.
-  };
+    const context = {
+      path: Router.currentPath,
+      query: getCurrentQuery(),
+      params: query.params,  // Parameters extracted from the route.
+      signal, // Aborted when a newer navigation supersedes this one.
+    };
 
-  try {
-    const middlewareResults = await executeMiddlewares(middlewares, context);
+    if (!routeName) {
+      callback({status:404})
+      return error(404, null, context);
+    }
+
+    setState(routeName, STATES.LOADING);
+
+    const chain = getRouteChain(routeName, query.params);
+    let status = 200;
+
+    try {
+      await Promise.all(chain.map(level => loadRoute(level.routeName)));
+      if (signal.aborted) return;
+
+      // Layouts come first, so their middlewares run before the ones of their children
+      const middlewares = chain.flatMap(level => level.route.middlewares);
+      const result = await executeMiddlewares(middlewares, context);
+      if (signal.aborted) return;
 
-    if (!middlewareResults.every(result => result)) return error(400);
+      if (isObject(result) && result.redirect) {
+        callback({ status: 302, redirect: result.redirect });
+        return followRedirect(result);
+      }
+
+      if (result !== true) {
+        const { status: blocked = 400, error: exception = null } = isObject(result) ? result : {};
+        setState(routeName, STATES.FAILED);
+        callback({ status: blocked });
+        return error(blocked, exception, context);
+      }
+
+      Router.redirects = 0;
+      Router.context = context;
+      await executeChain(chain, context, navigation);
+      if (signal.aborted) return;
+      setState(routeName, STATES.SUCCESS);
+      applyScroll(chain, context, navigation);
+    } catch (exception) {
+      if (signal.aborted) return;
+      // Errors may carry their own status, like the ones thrown by Api requests
+      status = Number.isInteger(exception?.status) ? exception.status : 500;
+      setState(routeName, STATES.FAILED);
+      await error(status, exception, context);
+    }
+
+    notifyListeners(context);
+    callback({ status })
+  } finally {
+    // Whichever way the navigation ends, a newer one owns the router state otherwise
+    if (Router.controller === controller) {
+      Router.controller = null;
+      Router.navigating = false;
+    }
+  }
+};
 
-    await executeHandler(handler, context);
-    setState(routeName, STATES.SUCCESS);
+/**
+ * Scrolls after a route has rendered, following the scroll option of the route or of the router.
+ * @param {Array<Object>} chain - The route chain that rendered.
+ * @param {Object} context - The route context.
+ * @param {Object} navigation - The navigation type, hash and history key.
+ */
+const applyScroll = (chain, context, { type, hash, key }) => {
+  if (Router.mode === MODES.MEMORY || typeof window === "undefined" || type === "reload") return;
+
+  const behaviour = chain[chain.length - 1].route.scroll ?? Router.scroll;
+  if (behaviour === false) return;
+
+  const saved = Scroll.get(key);
+  try {
+    if (typeof behaviour === "function") return behaviour(context, { type, hash, saved });
+    Scroll.restore({ type, hash, saved });
   } catch (error) {
-    console.error("Error:", error);
-    error(500);
+    console.error("Scroll behaviour failed", error);
   }
+};
+
+/**
+ * Saves the scroll position of the current history entry before it is left.
+ */
+const saveScroll = () => {
+  if (Router.mode !== MODES.MEMORY && typeof window !== "undefined") Scroll.save(Router.currentKey);
+};
 
-  notifyListeners(context);
+/**
+ * Aborts the navigation being handled, if any.
+ * @example Router.abort();
+ */
+export const abort = () => {
+  Router.controller?.abort();
+  Router.controller = null;
   Router.navigating = false;
-  callback({status:200})
 };
 
 /**
- * Handles errors during route handling and logs them.
+ * Handles errors during route handling: logs them, emits `router:error` and renders the error view.
  * @param {number} errorCode - The HTTP status code for the error.
+ * @param {Error} [exception=null] - The original exception, if any.
+ * @param {Object} [context] - The context of the route that failed, defaults to the current one.
+ * @returns {Promise<void>}
+ * @example Router.error(403);
  */
-export const error = (errorCode) => {
-  ErrorHandler.handle(errorCode, `Route handling failed for ${Router.currentPath}`);
+export const error = async (errorCode, exception = null, context = Router.context) => {
   Router.navigating = false;
+  Router.active.forEach(level => level.controller?.abort());
+  Router.active = []; // The error view replaces the rendered layouts
+  await ErrorHandler.handle(errorCode, `Route handling failed for ${Router.currentPath}`, exception, context);
 };
 
 /**
- * Executes all middlewares for a given route.
+ * Registers the view rendered for an error status.
+ * @param {number|string} status - The status code (e.g. 404), or 'default' for any status without a view.
+ * @param {function|Object} view - A function receiving the error details ({ status, message, error, context }),
+ *                                 or `{ template }` to render a template with those details, or `{ handler }`.
+ * @example
+ * Router.registerError(404, { template: '/errors/404' });
+ * Router.registerError('default', ({ status, error }) => Template.render('/errors/generic', { status, error }));
+ */
+export const registerError = (status, view) => {
+  const definition = typeof view === "function" ? { handler: view } : view;
+
+  if (!isObject(definition) || (typeof definition.handler !== "function" && typeof definition.template !== "string")) {
+    throw new Error(`Error view for ${status} should be a function, { handler } or { template }`);
+  }
+
+  ErrorHandler.views[status] = definition;
+};
+
+/**
+ * Executes the middlewares of a route one after the other, stopping at the first one that does not pass.
  * @param {Array} middlewares - The middlewares to execute.
  * @param {Object} context - The context object passed to each middleware.
- * @returns {Promise<boolean[]>} - An array of boolean values indicating middleware success.
+ * @returns {Promise<boolean|Object>} - `true` if every middleware passed, otherwise `false`, the redirect
+ *                                      (`{ redirect, query }`) or status (`{ status }`) returned by the middleware,
+ *                                      or `{ status: 500, error }` if it threw.
  */
 export const executeMiddlewares = async (middlewares, context) => {
-  const results = await Promise.all(
-    middlewares.map(async middleware => {
-      try {
-        return await middleware(context);
-      } catch (error) {
-        console.error(String(middleware.name), error);
-        return false;
-      }
-    })
-  );
-  return results;
+  for (const middleware of middlewares) {
+    if (context.signal?.aborted) return false;
+
+    let result;
+    try {
+      result = await middleware(context);
+    } catch (error) {
+      if (context.signal?.aborted) return false;
+      console.error(String(middleware.name), error);
+      return { status: Number.isInteger(error?.status) ? error.status : 500, error };
+    }
+
+    if (isObject(result) && (result.redirect || result.status)) return result;
+    if (!result) return false;
+  }
+  return true;
+};
+
+/**
+ * Follows a redirect returned by a middleware, replacing the blocked history entry.
+ * @param {Object} result - The middleware result.
+ * @param {string} result.redirect - The route path to redirect to.
+ * @param {Object} [result.query={}] - Query parameters for the redirect.
+ */
+const followRedirect = ({ redirect: path, query = {} }) => {
+  Router.navigating = false;
+  if (++Router.redirects > Router.maxRedirects) {
+    Router.redirects = 0;
+    return error(508);
+  }
+  redirect(path, query);
 };
 
 /**
@@ -161,53 +738,304 @@ export const setState = (routeName, state) => {
 
 /**
  * Executes the handler function for a route.
+ * Template.render calls made before the first await of the handler get `context.signal` unless they pass their own.
  * @param {function} handler - The handler function to execute.
  * @param {Object} context - The context passed to the handler.
  * @example Router.executeHandler((ctx) => console.log(ctx), {});
  */
 export const executeHandler = async (handler, context) => {
   console.log("Loading...", context);
-  await handler(context);
+
+  // The renders the handler starts get the navigation signal, so a superseded navigation does not write its view
+  let result;
+  setDefaultSignal(context.signal);
+  try {
+    result = handler(context);
+  } finally {
+    setDefaultSignal(undefined);
+  }
+  await result;
+};
+
+/**
+ * Builds the chain of route levels from the outermost layout down to the given route.
+ * @param {string} routeName - The full name of the matched route.
+ * @param {Object} params - The parameters extracted from the URL.
+ * @returns {Array<Object>} - The levels, each with its routeName, route and own params.
+ */
+export const getRouteChain = (routeName, params = {}) => {
+  const chain = [];
+  for (let name = routeName; name; name = Router.routes[name].parent) {
+    const route = Router.routes[name];
+    const levelParams = Object.fromEntries(route.paramKeys.map(key => [key, params[key]]));
+    chain.unshift({ routeName: name, route, params: levelParams });
+  }
+  return chain;
+};
+
+/**
+ * Executes the handlers of a route chain, skipping the layouts that are already rendered (except on a reload).
+ * The leaf handler always runs, and `context.outlet` holds the outlet of the parent level.
+ * The loaders, templates and translations of the levels about to run are fetched in parallel beforehand,
+ * and each loader result is passed as `context.data` to the handler of its level.
+ * `context.scope` is a signal aborted once the level is left, for what lasts as long as the level is rendered
+ * (e.g. the `scope` of Template.render bindings).
+ * Once the data is ready the handlers run inside the transition of the route, if any (see configure).
+ * @param {Array<Object>} chain - The route chain (see getRouteChain).
+ * @param {Object} context - The context passed to each handler.
+ * @param {Object} [navigation] - How the route is reached: `{ type, direction }` (no transition on the first load
+ *                                or a reload).
+ */
+export const executeChain = async (chain, context, navigation = { type: "load" }) => {
+  const kept = navigation.type === "reload" ? 0 : chain.findIndex((level, index) => !isSameLevel(level, Router.active[index]));
+  const start = Math.min(kept === -1 ? chain.length : kept, chain.length - 1);
+
+  // The levels left end their scope (e.g. their Template bindings), the kept ones carry theirs over
+  Router.active.slice(start).forEach(level => level.controller?.abort());
+  Router.active = chain.slice(0, start).map((level, index) => ({ ...level, controller: Router.active[index].controller }));
+
+  const entering = chain.slice(start);
+  const [data] = await Promise.all([
+    Promise.all(entering.map(level => loadData(level, context))),
+    preload(entering.flatMap(level => level.route.templates)),
+    loadNamespaces(entering.flatMap(level => level.route.translations)),
+  ]);
+
+  const transition = ["load", "reload"].includes(navigation.type)
+    ? false
+    : chain[chain.length - 1].route.transition ?? Router.transition;
+
+  await Transition.run(async () => {
+    for (let index = start; index < chain.length; index++) {
+      if (context.signal?.aborted) return;
+      const controller = new AbortController();
+      context.outlet = index > 0 ? chain[index - 1].route.outlet : undefined;
+      context.scope = controller.signal;
+      if (chain[index].route.load) context.data = data[index - start];
+      try {
+        await executeHandler(chain[index].route.handler, context);
+      } catch (exception) {
+        controller.abort();
+        throw exception;
+      }
+      Router.active.push({ ...chain[index], controller });
+    }
+  }, { name: transition, direction: navigation.direction, target: getRegion()?.element });
+
+  for (const level of chain.slice(start)) {
+    if (context.signal?.aborted) return;
+    if (!level.route.afterEnter) continue;
+    try {
+      await level.route.afterEnter(context);
+    } catch (error) {
+      console.error(`afterEnter failed for route ${level.routeName}`, error);
+    }
+  }
+};
+
+/**
+ * Runs the loader of a route level, reusing a cached result that has not expired.
+ * @param {Object} level - The route level (see getRouteChain).
+ * @param {Object} context - The context passed to the loader.
+ * @returns {Promise<any>} - The loader result, or undefined if the route has no loader.
+ */
+export const loadData = (level, context) => {
+  const { route, routeName, params } = level;
+  if (!route.load) return Promise.resolve();
+
+  const key = getDataKey(routeName, params, context.query);
+  const cached = Router.dataCache.get(key);
+
+  // A pending load whose navigation was aborted is about to fail, so it isn't reused
+  if (cached && cached.expires > Date.now() && !cached.signal?.aborted) return cached.data;
+
+  const data = (async () => route.load(context))();
+  const entry = { data, signal: context.signal, expires: Date.now() + (route.ttl ?? Router.dataTtl) };
+  Router.dataCache.set(key, entry);
+
+  data.catch(() => {
+    if (Router.dataCache.get(key) === entry) Router.dataCache.delete(key);
+  });
+  return data;
+};
+
+/**
+ * Builds the cache key of a loader result.
+ * @param {string} routeName - The full route name.
+ * @param {Object} params - The params of the route level.
+ * @param {Object} [query={}] - The query parameters.
+ * @returns {string}
+ */
+const getDataKey = (routeName, params, query = {}) => {
+  const sortedQuery = new URLSearchParams(Object.entries(query).sort(([a], [b]) => a.localeCompare(b)));
+  return `${routeName}|${JSON.stringify(params)}|${sortedQuery}`;
+};
+
+/**
+ * Removes cached loader results, for one route or for all of them.
+ * @param {string} [routeName] - The full route name; all results are removed when omitted.
+ * @example Router.invalidate('/users/:id');
+ */
+export const invalidate = (routeName) => {
+  if (!routeName) return Router.dataCache.clear();
+
+  for (const key of Router.dataCache.keys()) {
+    if (key.startsWith(`${routeName}|`)) Router.dataCache.delete(key);
+  }
+};
+
+/**
+ * Downloads what a route needs ahead of a navigation: its lazy modules, templates, translations and loader data.
+ * Middlewares are not run, so the loader data of routes with middlewares (e.g. guards) is not prefetched:
+ * it is only loaded once they let the navigation through.
+ * @param {string} path - The route path, optionally with a query string.
+ * @param {Object} [query={}] - Query parameters, merged over the ones in the path.
+ * @example Router.prefetch('/users/42');
+ */
+export const prefetch = async (path, query = {}) => {
+  const target = resolve(path, query);
+  const { routeName, params } = matchRoute(target.path);
+  if (!routeName) return;
+
+  const chain = getRouteChain(routeName, params);
+  await Promise.all(chain.map(level => loadRoute(level.routeName)));
+  if (chain.some(level => level.route.prefetch === false)) return;
+
+  // A guard of any level may deny the data of the levels below it
+  const guarded = chain.some(level => level.route.middlewares.length > 0);
+  const context = { path: routeName, query: target.query, params, prefetch: true };
+  await Promise.all([
+    ...(guarded ? [] : chain.map(level => loadData(level, context))),
+    preload(chain.flatMap(level => level.route.templates)),
+    loadNamespaces(chain.flatMap(level => level.route.translations)),
+  ]);
+};
+
+/**
+ * Runs the beforeLeave hooks of the rendered route levels that a navigation would leave, innermost first.
+ * @param {string} path - The destination route path.
+ * @param {Object} [query={}] - The destination query parameters.
+ * @returns {Promise<boolean>} - false if a hook cancelled the navigation.
+ * @example if (await Router.canLeave('/home')) { ... }
+ */
+export const canLeave = async (path, query = {}) => {
+  const { routeName, params } = matchRoute(path);
+  const chain = routeName ? getRouteChain(routeName, params) : [];
+  const leaving = Router.active.filter((level, index) => !isSameLevel(level, chain[index]));
+
+  for (const level of leaving.reverse()) {
+    if (!level.route.beforeLeave) continue;
+    try {
+      if (await level.route.beforeLeave(Router.context, { path, query }) === false) return false;
+    } catch (error) {
+      console.error(`beforeLeave failed for route ${level.routeName}`, error);
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Checks whether two route levels render the same route with the same parameters.
+ * @param {Object} level - A route level.
+ * @param {Object} [other] - The route level to compare with.
+ * @returns {boolean}
+ */
+const isSameLevel = (level, other) => {
+  if (!other || level.routeName !== other.routeName) return false;
+  return level.route.paramKeys.every(key => level.params[key] === other.params[key]);
 };
 
 /**
  * Navigates to a new route and updates the browser's history.
+ * The navigation is cancelled if a beforeLeave hook of the current route returns false.
+ * When navigations overlap the latest one wins, and the one in flight is aborted (see handle).
  * @param {string} path - The route path to navigate to.
  * @param {Object} [query={}] - Optional query parameters to append to the URL.
  * @example Router.navigate('/about', { user: 'john' });
  */
-export const navigate = (path, query = {}, _blank = false) => {
-  if (Router.navigating) {
-    return console.log(`Busy`);
+export const navigate = async (path, query = {}, _blank = false) => {
+  const target = resolve(path, query);
+  if (_blank) return Router.adapter.open(target.url);
+
+  // Navigate only if the route or the query has changed, a new fragment only scrolls
+  if (getCurrentUrl() === buildUrl(target.path, target.query)) {
+    if (target.hash) scrollToFragment(target.hash);
+    return;
+  }
+
+  const sequence = ++Router.sequence;
+  const allowed = await canLeave(target.path, target.query);
+  if (!allowed || sequence !== Router.sequence) return;
+
+  saveScroll();
+  Router.navigationType = "push";
+  Router.direction = "forward";
+  Router.adapter.push(target.path, target.query, target.hash);
+  commit(target);
+};
+
+/**
+ * Replaces the current history entry with another route, without running beforeLeave hooks.
+ * Used for guard redirects, so the blocked URL does not stay in the history.
+ * @param {string} path - The route path to redirect to.
+ * @param {Object} [query={}] - Optional query parameters to append to the URL.
+ * @example Router.redirect('/login', { next: '/account' });
+ */
+export const redirect = (path, query = {}) => {
+  const target = resolve(path, query);
+  ++Router.sequence;
+  Router.adapter.replace(target.path, target.query, target.hash);
+  commit(target);
+};
+
+/**
+ * Scrolls to an in-page fragment, adding a history entry for it like the browser does.
+ * @param {string} hash - The fragment (e.g. '#team').
+ */
+const scrollToFragment = (hash) => {
+  // In hash mode the URL hash holds the route, so the fragment only scrolls
+  if (Router.mode !== MODES.HASH && hash !== Router.currentHash) {
+    saveScroll();
+    Router.adapter.push(Router.currentRoute, getCurrentQuery(), hash);
+    syncLocation();
   }
+  if (Router.mode !== MODES.MEMORY) Scroll.toHash(hash);
+};
 
+/**
+ * Resolves a path with optional query parameters into a navigation target.
+ * @param {string} path - The route path, optionally with a query string and a fragment.
+ * @param {Object} [query={}] - Query parameters, merged over the ones in the path.
+ * @returns {Object} - The route path, the merged query, the fragment and the browser URL.
+ */
+const resolve = (path, query = {}) => {
   // Parse the input path to extract the base path and query parameters
-  const url = new URL(path, window.location.origin); // Resolve relative paths to full URL
-  const basePath = url.pathname; // Extract path without query parameters
-  const pathQuery = Object.fromEntries(url.searchParams.entries()); // Convert query params in the path to an object
+  const { route: basePath, query: searchParams, hash } = parseRoute(path);
+  const pathQuery = Object.fromEntries(searchParams.entries()); // Convert query params in the path to an object
 
   // Merge the extracted query parameters from the path with the provided query object
   const mergedQuery = { ...pathQuery, ...query };
+  delete mergedQuery.route;
 
-  console.log('mergedQuery', mergedQuery, path, basePath)
-  // Add the route property to the query
-  mergedQuery.route = basePath;
-
-  // Convert the merged query object to a query string
-  const queryString = new URLSearchParams(mergedQuery).toString();
-  const fullUrl = `${window.location.pathname}?${queryString}`;
-  if (_blank) return window.open(fullUrl, '_blank');
+  return { path: basePath, query: mergedQuery, hash, url: buildUrl(basePath, mergedQuery, hash) };
+};
 
-  // Navigate only if the query has changed
-  if (Router.currentQuery.toString() !== queryString) {
-    Router.navigating = true;
-    Router.currentQuery = new URLSearchParams(mergedQuery);
-    window.history.pushState({}, "", fullUrl);
-    Router.history.push({ query: mergedQuery });
-    handle(); // Trigger the router handler
-  }
+/**
+ * Records a navigation that has been written to the browser history and handles the new route.
+ * @param {Object} target - The navigation target (see resolve).
+ */
+const commit = (target) => {
+  syncLocation();
+  Router.history.push({ path: target.path, query: target.query });
+  handle(); // Trigger the router handler
 };
 
+/**
+ * Returns the browser URL of the current route.
+ * @returns {string}
+ */
+export const getCurrentUrl = () => buildUrl(Router.currentRoute, getCurrentQuery());
 
 /**
  * Subscribes a callback function to route change events.
@@ -228,16 +1056,24 @@ export const notifyListeners = (context) => {
 };
 
 /**
- * Extracts the route name and parameters from the current query string.
+ * Extracts the route name and parameters from the current URL.
  * @returns {Object} - The route name, original query, and dynamic parameters.
  */
 export const getParsedQuery = () => {
-  const queryRoute = Router.currentQuery.get("route");
-  const staticRoute = Router.routes[queryRoute];
-  const dynamicRoute = !staticRoute ? matchDynamicRoute(queryRoute) : staticRoute;
+  const queryRoute = Router.currentRoute;
+  return { ...matchRoute(queryRoute), queryRoute };
+};
+
+/**
+ * Finds the registered route for a path, static routes first.
+ * @param {string} path - The route path (e.g. '/about/42').
+ * @returns {Object} - The matched route name (or null) and its dynamic parameters.
+ */
+export const matchRoute = (path) => {
+  const staticRoute = Router.routes[path]?.isDynamic ? null : Router.routes[path];
+  const dynamicRoute = !staticRoute ? matchDynamicRoute(path) : staticRoute;
   return {
-    routeName: staticRoute ? queryRoute : dynamicRoute ? dynamicRoute.routeName : null,
-    queryRoute,
+    routeName: staticRoute ? path : dynamicRoute ? dynamicRoute.routeName : null,
     params: dynamicRoute?.params || {}
   };
 };
@@ -248,26 +1084,88 @@ export const getParsedQuery = () => {
  * @returns {Object|null} - The matched route or null if no match is found.
  */
 export const matchDynamicRoute = (routeName) => {
-  for (const [key, value] of Object.entries(Router.routes)) {
-    if (value.isDynamic && routeName) {
-      const regex = new RegExp(`^${key.replace(/:[^/]+/g, "([^/]+)")}$`);
-      const match = routeName.match(regex);
+  if (!routeName) return null;
 
-      if (match) {
-        const params = {};
-        const dynamicKeys = key.match(/:([^/]+)/g).map(segment => segment.substring(1));
+  for (const key of getRankedRoutes()) {
+    const value = Router.routes[key];
+    const match = routeName.match(value.regex);
+    if (!match) continue;
 
-        dynamicKeys.forEach((key, index) => {
-          params[key] = match[index + 1];
-        });
+    const params = {};
+    value.segments.forEach(({ name, constraint }) => {
+      const param = name && match.groups[name];
+      if (!param) return;
+      // Constrained params holding a number are converted (leading zeros are kept as strings)
+      params[name] = constraint && String(Number(param)) === param ? Number(param) : param;
+    });
 
-        return { ...value, params, routeName: key };
-      }
-    }
+    return { ...value, params, routeName: key };
   }
   return null;
 };
 
+/**
+ * Builds the path of a named route, to pass to navigate or redirect.
+ * @param {string} name - The route name given at registration.
+ * @param {Object} [params={}] - Values for the dynamic segments of the route.
+ * @param {Object} [query={}] - Query parameters to append.
+ * @returns {string} - The route path (e.g. '/users/42?tab=posts').
+ * @throws {Error} If the route is unknown, a required param is missing or a param breaks its constraint.
+ * @example Router.navigate(Router.url('user', { id: 42 }, { tab: 'posts' }));
+ */
+export const url = (name, params = {}, query = {}) => {
+  const routeName = Router.names[name];
+  if (!routeName) {
+    throw new Error(`No route named ${name}`);
+  }
+
+  const parts = [];
+  for (const segment of Router.routes[routeName].segments) {
+    if (!segment.name) {
+      parts.push(segment.value);
+      continue;
+    }
+
+    const value = params[segment.name];
+    if (value === undefined || value === null || value === "") {
+      if (segment.optional) continue;
+      throw new Error(`Missing required param ${segment.name} for route ${name}`);
+    }
+
+    if (segment.constraint && !new RegExp(`^(?:${segment.constraint})$`).test(String(value))) {
+      throw new Error(`Param ${segment.name} should match ${segment.constraint} for route ${name}`);
+    }
+
+    parts.push(segment.wildcard ? String(value).split("/").map(encodeURIComponent).join("/") : encodeURIComponent(value));
+  }
+
+  const queryString = new URLSearchParams(query).toString();
+  return `/${parts.join("/")}${queryString ? `?${queryString}` : ""}`;
+};
+
+/**
+ * Builds the browser URL of a named route, for use in links.
+ * @param {string} name - The route name given at registration.
+ * @param {Object} [params={}] - Values for the dynamic segments of the route.
+ * @param {Object} [query={}] - Query parameters to append.
+ * @returns {string} - The URL for the routing mode (e.g. '/app/users/42' or '/?route=%2Fusers%2F42').
+ * @example `<a href="${Router.href('user', { id: 42 })}">Profile</a>`
+ */
+export const href = (name, params = {}, query = {}) => {
+  return resolve(url(name, params, query)).url;
+};
+
+/**
+ * Renders the current route again, layouts included, without a new history entry, e.g. once the language changed.
+ * Middlewares run again, cached loader results are reused and the scroll position is kept.
+ * @returns {Promise<void>}
+ * @example Router.reload();
+ */
+export const reload = () => {
+  Router.navigationType = "reload"; // executeChain renders the layouts again too
+  return handle();
+};
+
 /**
  * Refreshes the current route with updated query parameters.
  * @param {Object} [newParams] - Optional query parameters to update the route with.
@@ -277,8 +1175,7 @@ export const refresh = (newParams = getCurrentQuery()) => {
   if (newParams.route) {
     console.warn(`Please use navigate to move to a new route`);
   }
-  newParams.route = Router.currentPath;
-  navigate(Router.currentPath, newParams);
+  navigate(Router.currentRoute, newParams);
 };
 
 /**
@@ -311,13 +1208,23 @@ export const clearListeners = () => {
 */
 const preventDefault = () => {
   document.addEventListener("click", (event) => {
+    if (!Router.interceptLinks) return;
+
     const target = event.target.closest("a"); // Ensure target is an <a> tag
     if (!target || !target.hasAttribute("href")) return;
 
-    const anchorHref = target.getAttribute("href");
+    // In-page fragment links scroll without re-rendering the route
+    const href = target.getAttribute("href");
+    if (href.startsWith("#") && !(Router.mode === MODES.HASH && href.startsWith("#/"))) {
+      if (href === "#" || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) return;
+      event.preventDefault();
+      return scrollToFragment(href);
+    }
+
+    const anchorHref = toRoutePath(href);
 
     // Prevent external links or anchors without valid paths
-    if (!anchorHref.startsWith("/")) return;
+    if (anchorHref === null) return;
     // Allow default behavior for button
     if (event.button === 1) return;
 
@@ -334,4 +1241,31 @@ const preventDefault = () => {
     // Use custom navigation logic
     navigate(anchorHref, {}, _blank);
   });
+
+  // Prefetch internal links once, when the user shows intent to follow them
+  const prefetchLink = (event) => {
+    if (!Router.prefetch || !Router.interceptLinks) return;
+
+    const target = event.target.closest?.("a");
+    if (!target || !target.hasAttribute("href") || target._prefetched) return;
+
+    const anchorHref = toRoutePath(target.getAttribute("href"));
+    if (anchorHref === null) return;
+
+    target._prefetched = true;
+    prefetch(anchorHref).catch(error => console.warn(`Prefetch failed for ${anchorHref}`, error));
+  };
+  document.addEventListener("mouseover", prefetchLink);
+  document.addEventListener("focusin", prefetchLink);
+};
+
+/**
+ * Converts the href of a link to the route path it points to.
+ * Links may use the URL built for the mode (see href), or the route path (e.g. '/about') except in path mode with a
+ * base: there only links below the base belong to the app, so they must include it ('/app/about').
+ * @param {string} anchorHref - The href attribute.
+ * @returns {string|null} - The route path with its query string, or null if the link is outside the app.
+ */
+const toRoutePath = (anchorHref) => {
+  return Router.adapter.toRoute(anchorHref);
 };
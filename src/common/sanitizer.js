@@ -0,0 +1,244 @@
+/**
+ * The Sanitizer module cleans rendered HTML against an allow-list, so content such as user input, partials passed
+ * as strings, triple-stash output or translations cannot inject scripts. Used by the safe render mode of Template.
+ *
+ * - Elements outside the allow-list are removed, keeping their text, except the dangerous ones and SVG or MathML elements
+ *   removed with their content.
+ * - Attributes outside the allow-list and event handlers are removed; `data-*` and `aria-*` attributes are kept.
+ * - URLs must be relative or use an allowed protocol.
+ * - Defined custom elements (e.g. components) are kept with their attributes, except event handlers.
+ * - SVG and MathML are removed unless allowed with configure, e.g. `tags: ['svg', 'path']`. Their elements are only kept
+ *   where the HTML parser puts them (`svg` or `math` in HTML, their own elements inside them), like HTML only in an
+ *   SVG `foreignObject`, so nothing changes namespace when the HTML is parsed again.
+ * - Where Trusted Types are supported the sanitized HTML is created through a policy, so the page can enforce them.
+ */
+
+// Namespaces of the elements that can be allowed
+const NAMESPACES = {
+    html: 'http://www.w3.org/1999/xhtml',
+    svg: 'http://www.w3.org/2000/svg',
+    mathml: 'http://www.w3.org/1998/Math/MathML',
+};
+
+// Define the Sanitizer object on top
+const Sanitizer = {
+    tags: new Set([
+        'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'button', 'caption', 'cite',
+        'code', 'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'fieldset', 'figcaption',
+        'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'input', 'ins', 'kbd',
+        'label', 'legend', 'li', 'main', 'mark', 'nav', 'ol', 'optgroup', 'option', 'p', 'picture', 'pre', 'q', 's', 'samp',
+        'section', 'select', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+        'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+    ]),
+    dropped: new Set([      // Elements removed with their content
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template', 'noscript',
+        'noembed', 'title', 'base', 'link', 'meta', 'svg', 'math'
+    ]),
+    attributes: {           // Allowed attributes, for every element ('*') or by element
+        '*': new Set(['id', 'class', 'title', 'lang', 'dir', 'role', 'hidden', 'tabindex']),
+        a: new Set(['href', 'target', 'rel', 'hreflang', 'download']),
+        img: new Set(['src', 'alt', 'width', 'height', 'loading', 'decoding']),
+        source: new Set(['src', 'type', 'media']),
+        td: new Set(['colspan', 'rowspan', 'headers']),
+        th: new Set(['colspan', 'rowspan', 'headers', 'scope', 'abbr']),
+        col: new Set(['span']),
+        colgroup: new Set(['span']),
+        ol: new Set(['start', 'reversed', 'type']),
+        li: new Set(['value']),
+        time: new Set(['datetime']),
+        data: new Set(['value']),
+        del: new Set(['cite', 'datetime']),
+        ins: new Set(['cite', 'datetime']),
+        blockquote: new Set(['cite']),
+        q: new Set(['cite']),
+        details: new Set(['open']),
+        form: new Set(['action', 'method', 'name', 'novalidate', 'autocomplete']),
+        label: new Set(['for']),
+        button: new Set(['type', 'name', 'value', 'disabled']),
+        input: new Set(['type', 'name', 'value', 'placeholder', 'checked', 'disabled', 'readonly', 'required',
+            'min', 'max', 'step', 'minlength', 'maxlength', 'pattern', 'autocomplete', 'multiple', 'size']),
+        select: new Set(['name', 'disabled', 'required', 'multiple', 'size']),
+        option: new Set(['value', 'selected', 'disabled', 'label']),
+        optgroup: new Set(['label', 'disabled']),
+        textarea: new Set(['name', 'placeholder', 'disabled', 'readonly', 'required', 'rows', 'cols', 'minlength', 'maxlength']),
+        fieldset: new Set(['disabled', 'name']),
+    },
+    urlAttributes: new Set(['href', 'src', 'action', 'formaction', 'cite', 'poster', 'background', 'xlink:href']),
+    protocols: new Set(['http:', 'https:', 'mailto:', 'tel:']),
+    policyName: 'flxy',     // Name of the Trusted Types policy
+    policy: undefined,      // The Trusted Types policy, null where Trusted Types are not supported
+};
+
+/**
+ * Extends the allow-list.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.tags] - Elements to allow, including SVG and MathML ones.
+ * @param {Object<string, Array<string>>} [options.attributes] - Attributes to allow, for every element ('*') or by element.
+ * @param {Array<string>} [options.protocols] - URL protocols to allow, with their colon (e.g. 'ftp:').
+ * @param {string} [options.policyName] - Name of the Trusted Types policy, to set before the first render.
+ * @example configure({ tags: ['video'], attributes: { video: ['src', 'controls'] } });
+ * @example configure({ tags: ['svg', 'path'], attributes: { svg: ['viewBox', 'width', 'height'], path: ['d', 'fill'] } });
+ */
+export function configure({ tags = [], attributes = {}, protocols = [], policyName } = {}) {
+    tags.forEach(tag => {
+        Sanitizer.tags.add(tag.toLowerCase());
+        Sanitizer.dropped.delete(tag.toLowerCase());
+    });
+
+    for (const [tag, names] of Object.entries(attributes)) {
+        Sanitizer.attributes[tag] ||= new Set();
+        names.forEach(name => Sanitizer.attributes[tag].add(name.toLowerCase()));
+    }
+
+    protocols.forEach(protocol => Sanitizer.protocols.add(protocol.toLowerCase()));
+    if (policyName) Sanitizer.policyName = policyName;
+}
+
+/**
+ * Sanitizes an HTML string against the allow-list.
+ * @param {string} html - The HTML to sanitize.
+ * @returns {string} - The sanitized HTML.
+ * @example sanitize('<img src="x" onerror="alert(1)">'); // '<img src="x">'
+ */
+export function sanitize(html) {
+    // Template content is inert: nothing is loaded or run while it is parsed and cleaned
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    cleanChildren(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Sanitizes an HTML string into a value that can be assigned to innerHTML, a TrustedHTML where Trusted Types are supported.
+ * @param {string} html - The HTML to sanitize.
+ * @returns {TrustedHTML|string}
+ */
+export function toTrustedHTML(html) {
+    const policy = getPolicy();
+    return policy ? policy.createHTML(html) : sanitize(html);
+}
+
+/**
+ * Returns the Trusted Types policy, creating it on first use.
+ * @returns {TrustedTypePolicy|null} - The policy, or null where Trusted Types are not supported.
+ */
+function getPolicy() {
+    if (Sanitizer.policy === undefined) {
+        const trustedTypes = typeof window !== 'undefined' ? window.trustedTypes : undefined;
+        Sanitizer.policy = trustedTypes?.createPolicy
+            ? trustedTypes.createPolicy(Sanitizer.policyName, { createHTML: sanitize })
+            : null;
+    }
+    return Sanitizer.policy;
+}
+
+/**
+ * Cleans the children of a node.
+ * @param {Node} parent
+ */
+function cleanChildren(parent) {
+    for (const node of Array.from(parent.childNodes)) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            cleanElement(node);
+        } else if (node.nodeType !== Node.TEXT_NODE) {
+            node.remove(); // Comments and processing instructions
+        }
+    }
+}
+
+/**
+ * Cleans an element: removes it if it is dangerous, unwraps it if it is not allowed, otherwise cleans its attributes.
+ * @param {Element} element
+ */
+function cleanElement(element) {
+    const tag = element.localName.toLowerCase(); // SVG names keep their case, e.g. 'linearGradient'
+
+    if (Sanitizer.dropped.has(tag) || !isAllowedNamespace(element, tag)) {
+        element.remove();
+        return;
+    }
+
+    const custom = isCustomElement(tag);
+    if (!custom && !Sanitizer.tags.has(tag)) {
+        // Unwrapped SVG or MathML content would change namespace, e.g. the HTML of a foreignObject
+        if (element.namespaceURI !== NAMESPACES.html) {
+            element.remove();
+            return;
+        }
+        cleanChildren(element);
+        element.replaceWith(...element.childNodes); // Keep the text of elements that are not allowed
+        return;
+    }
+
+    for (const { name, value } of Array.from(element.attributes)) {
+        const attribute = name.toLowerCase(); // SVG names keep their case, e.g. 'viewBox'
+        if (!isAllowedAttribute(tag, attribute, custom) || (Sanitizer.urlAttributes.has(attribute) && !isSafeURL(value))) {
+            element.removeAttribute(name);
+        }
+    }
+
+    // Links opening a new page must not get access to this one
+    if (tag === 'a' && element.getAttribute('target') === '_blank') {
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    cleanChildren(element);
+}
+
+/**
+ * Checks whether an element is in a namespace it can have where it is: HTML in HTML (or in an SVG foreignObject),
+ * `svg` and `math` in HTML, and SVG or MathML elements inside their own root.
+ * @param {Element} element
+ * @param {string} tag - The lowercase element name.
+ * @returns {boolean}
+ */
+function isAllowedNamespace(element, tag) {
+    const parent = element.parentNode;
+    const parentNamespace = parent.namespaceURI || NAMESPACES.html; // The template content has no namespace
+
+    switch (element.namespaceURI) {
+        case NAMESPACES.html:
+            return parentNamespace === NAMESPACES.html
+                || (parentNamespace === NAMESPACES.svg && parent.localName === 'foreignObject');
+        case NAMESPACES.svg:
+            return parentNamespace === NAMESPACES.svg || (tag === 'svg' && parentNamespace === NAMESPACES.html);
+        case NAMESPACES.mathml:
+            return parentNamespace === NAMESPACES.mathml || (tag === 'math' && parentNamespace === NAMESPACES.html);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks whether an attribute is allowed on an element.
+ * @param {string} tag - The element name.
+ * @param {string} name - The lowercase attribute name.
+ * @param {boolean} custom - Whether the element is a defined custom element.
+ * @returns {boolean}
+ */
+function isAllowedAttribute(tag, name, custom) {
+    if (name.startsWith('on')) return false;
+    if (custom || name.startsWith('data-') || name.startsWith('aria-')) return true;
+    return Sanitizer.attributes['*'].has(name) || Boolean(Sanitizer.attributes[tag]?.has(name));
+}
+
+/**
+ * Checks whether a URL is relative or uses an allowed protocol.
+ * @param {string} value - The URL.
+ * @returns {boolean}
+ */
+function isSafeURL(value) {
+    // Browsers ignore control characters and whitespace in protocols, e.g. 'java\tscript:'
+    const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const protocol = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+    return !protocol || Sanitizer.protocols.has(`${protocol.toLowerCase()}:`);
+}
+
+/**
+ * Checks whether an element name is a defined custom element.
+ * @param {string} tag
+ * @returns {boolean}
+ */
+function isCustomElement(tag) {
+    return tag.includes('-') && typeof customElements !== 'undefined' && Boolean(customElements.get(tag));
+}
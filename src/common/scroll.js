@@ -0,0 +1,127 @@
+import { session as storage } from "./storage.js";
+
+/**
+ * The Scroll module saves and restores the scroll position of each history entry for the Router.
+ */
+
+// Key under which the positions survive a page reload
+const SESSION_STORAGE_KEY = "scrollPositions";
+
+// Define the Scroll object on top
+const Scroll = {
+    positions: null, // Scroll positions keyed by history entry, loaded on first use
+    limit: 50,       // Maximum number of history entries whose position is kept
+};
+
+/**
+ * Takes over scroll restoration from the browser, so back/forward positions are restored after the render.
+ */
+export function init() {
+    if ("scrollRestoration" in window.history) {
+        window.history.scrollRestoration = "manual";
+    }
+}
+
+/**
+ * Saves the current scroll position for a history entry.
+ * @param {string} key - The key of the history entry.
+ */
+export function save(key) {
+    if (!key) return;
+
+    const positions = getPositions();
+    positions.delete(key); // Re-insert so the most recent entries are kept
+    positions.set(key, { x: window.scrollX, y: window.scrollY });
+
+    // Drop the oldest entries beyond the limit
+    while (positions.size > Scroll.limit) {
+        positions.delete(positions.keys().next().value);
+    }
+
+    try {
+        storage.set(SESSION_STORAGE_KEY, Object.fromEntries(positions));
+    } catch (error) {
+        console.warn("Scroll positions could not be persisted:", error);
+    }
+}
+
+/**
+ * Returns the saved scroll position of a history entry.
+ * @param {string} key - The key of the history entry.
+ * @returns {{x: number, y: number}|undefined} - The saved position, if any.
+ */
+export function get(key) {
+    return getPositions().get(key);
+}
+
+/**
+ * Scrolls to the element targeted by a URL fragment (matching id, or name for anchors).
+ * @param {string} hash - The fragment, with or without its leading '#'.
+ * @returns {boolean} - Whether an element was found and scrolled into view.
+ */
+export function toHash(hash) {
+    const id = decodeFragment(String(hash).replace(/^#/, ""));
+    if (!id) return false;
+
+    const element = document.getElementById(id) || document.getElementsByName(id)[0];
+    if (!element) return false;
+
+    element.scrollIntoView();
+    return true;
+}
+
+/**
+ * Scrolls the window to a position.
+ * @param {{x: number, y: number}} position - The position to scroll to.
+ */
+export function to({ x = 0, y = 0 }) {
+    window.scrollTo(x, y);
+}
+
+/**
+ * Applies the default scroll behaviour after a route has rendered:
+ * the fragment target if there is one, the saved position on back/forward, the top on a new navigation.
+ * @param {Object} navigation
+ * @param {string} navigation.type - 'push' for a new navigation, 'pop' for back/forward, 'load' for the first render.
+ * @param {string} [navigation.hash] - The URL fragment of the route.
+ * @param {{x: number, y: number}} [navigation.saved] - The saved position of the history entry.
+ */
+export function restore({ type, hash, saved }) {
+    if (hash && toHash(hash)) return;
+
+    if (type === "pop" && saved) {
+        to(saved);
+    } else if (type === "push") {
+        to({ x: 0, y: 0 });
+    }
+}
+
+/**
+ * Loads the saved positions from the session on first use.
+ * Positions that cannot be read (storage disabled, or a value not saved by this module) are dropped.
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function getPositions() {
+    if (!Scroll.positions) {
+        try {
+            Scroll.positions = new Map(Object.entries(storage.get(SESSION_STORAGE_KEY) || {}));
+        } catch (error) {
+            console.warn("Scroll positions could not be read:", error);
+            Scroll.positions = new Map();
+        }
+    }
+    return Scroll.positions;
+}
+
+/**
+ * Decodes a URL fragment, keeping it as it is when it is not valid percent-encoding (e.g. '#100%').
+ * @param {string} fragment - The fragment, without its leading '#'.
+ * @returns {string}
+ */
+function decodeFragment(fragment) {
+    try {
+        return decodeURIComponent(fragment);
+    } catch (error) {
+        return fragment;
+    }
+}
@@ -37,11 +37,12 @@ export function get(key) {
  * It also generates a getter for the updated key and notifies any subscribers.
  * @param {string} key - The key to update.
  * @param {any} value - The new value to set.
+ * @param {boolean} [shouldNotify=true] - Whether to notify the subscribers of the key.
  */
-export function set(key, value, notify = true) {
+export function set(key, value, shouldNotify = true) {
     stateManager.state[key] = value;  // Update the state with the new value
     // Notify all subscribers of the updated state for the key
-    if (notify) stateManager.notify(key);
+    if (shouldNotify) notify(key);
 }
 
 /**
@@ -66,6 +67,7 @@ export function clear() {
  * The callback is triggered whenever the state for the subscribed keys changes.
  * @param {string|string[]} keys - The key or keys to subscribe to.
  * @param {function} callback - The callback to call when the state changes.
+ * @returns {function} - A function that unsubscribes the callback from the keys.
  */
 export function subscribe(keys, callback) {
     keys = Array.isArray(keys) ? keys : [keys];  // Ensure keys is always an array
@@ -75,6 +77,22 @@ export function subscribe(keys, callback) {
         if (!stateManager.subscribers[key]) stateManager.subscribers[key] = [];  // Initialize an array for subscribers if not already present
         stateManager.subscribers[key].push(callback);  // Add the callback to the subscriber list for the key
     });
+
+    return () => unsubscribe(keys, callback);
+}
+
+/**
+ * Unsubscribes a callback from specific state keys.
+ * @param {string|string[]} keys - The key or keys to unsubscribe from.
+ * @param {function} callback - The callback given to subscribe.
+ */
+export function unsubscribe(keys, callback) {
+    keys = Array.isArray(keys) ? keys : [keys];  // Ensure keys is always an array
+
+    keys.forEach((key) => {
+        if (!stateManager.subscribers[key]) return;
+        stateManager.subscribers[key] = stateManager.subscribers[key].filter((subscriber) => subscriber !== callback);
+    });
 }
 
 /**
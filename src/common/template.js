@@ -1,16 +1,46 @@
 import Mustache from "mustache";
 import STATES from "../utils/states.js";
-import { translate } from "./translator.js";
+import { translate, loadNamespaces } from "./translator.js";
 import { isObject } from "./helpers.js";
+import * as Engines from "./engines.js";
+import { morph } from "./morph.js";
+import * as States from "./state.js";
+import * as Cache from "./cache.js";
+import * as Assets from "./assets.js";
+import { toTrustedHTML } from "./sanitizer.js";
+import { emit } from "./emitter.js";
+
+// Whether a page is available (the Router can also run headless)
+const hasWindow = typeof window !== "undefined";
 
 // Configuration object
 const Template = {
-    prefix: `${window.location.origin}/templates`, // Base URL for templates
+    prefix: `${hasWindow ? window.location.origin : ''}/templates`, // Base URL for templates
     caches: new Map(),              // Cache storage for templates
+    fetches: new Map(),             // Template fetches in flight, by path
     extension: '.html',             // File extension for templates
-    container: document.body,
+    regions: new Map(hasWindow ? [['main', document.body]] : []), // Elements rendered into, by region name
+    renders: new WeakMap(),         // Render state of each element written into: { loading, template }
+    bindings: new Map(),            // State bindings by element, re-rendering it when their keys change
+    scheduled: new Set(),           // Bindings to re-render on the next animation frame
+    frame: null,                    // The pending animation frame
     metric: null,
-    engine: Mustache,
+    engine: 'mustache',             // Default template engine (see engines.js)
+    extensions: {                   // Template engine by file extension, for paths that carry their own
+        '.hbs': 'handlebars',
+        '.eta': 'eta'
+    },
+    compiled: new Map(),            // Compiled templates by engine, path and tags
+    helpers: {},                    // Helpers available to every template
+    morph: false,                   // Patch the existing DOM on render instead of replacing it (see morph.js)
+    safe: false,                    // Sanitize rendered HTML and escape translation placeholder values (see sanitizer.js)
+    signal: undefined,              // Signal of the renders started without one, set by the Router around route handlers
+    fallbacks: {                    // Templates rendered while a render is loading, or when it fails (see setFallbacks)
+        loading: null,
+        error: null,
+        notFound: null,
+        delay: 200
+    },
     config: {}
 };
 
@@ -19,17 +49,106 @@ export function setPrefix(prefix) {
     Template.prefix = prefix;
 }
 
-// export engine 
-export const engine = Template.engine;
+/**
+ * Sets the default render mode. Renders replace the content with innerHTML unless morphing is enabled, which keeps
+ * focus, input and listeners of the elements that stay (e.g. across the re-renders of state bindings).
+ * Content written into a target by other scripts (e.g. third-party widgets) may be changed back by the patch.
+ * @param {boolean} enabled - Whether renders patch the existing DOM (true) or replace it with innerHTML (false, the default).
+ * @example setMorph(true);
+ */
+export function setMorph(enabled) {
+    Template.morph = Boolean(enabled);
+}
+
+/**
+ * Sets the signal given to the renders started without a signal, until it is set again.
+ * The Router sets it to the navigation signal while a route handler starts, so a superseded navigation
+ * does not write its view over the newer one.
+ * @param {AbortSignal|undefined} signal
+ */
+export function setDefaultSignal(signal) {
+    Template.signal = signal;
+}
+
+/**
+ * Sets the safe render mode, for pages rendering user-generated content: the rendered HTML is sanitized against the
+ * allow-list of the Sanitizer (through its Trusted Types policy where supported) and the values of translation
+ * placeholders are escaped.
+ * @param {boolean} enabled - Whether renders are safe.
+ * @example setSafe(true);
+ */
+export function setSafe(enabled) {
+    Template.safe = Boolean(enabled);
+}
+
+// export engine (Mustache, the default engine)
+export const engine = Mustache;
+
+/**
+ * Sets the default template engine, used for paths without an engine extension.
+ * @param {string} name - The engine name ('mustache', 'handlebars', 'eta' or one added with registerEngine).
+ * @example setEngine('handlebars');
+ */
+export function setEngine(name) {
+    if (!Engines.has(name)) {
+        throw new Error(`Unknown template engine "${name}"`);
+    }
+    Template.engine = name;
+}
+
+/**
+ * Registers a template engine adapter, optionally for its own file extension.
+ * @param {string} name - The engine name.
+ * @param {Object|Function} adapter - An object with `compile(source, tags)` returning `(data, { partials, helpers }) => html`,
+ *                                    or a function returning (a promise of) it, to load the engine on first use.
+ * @param {string} [extension] - A file extension rendered with this engine (e.g. '.liquid').
+ * @example registerEngine('liquid', () => import('./liquid-adapter.js').then(module => module.default), '.liquid');
+ */
+export function registerEngine(name, adapter, extension) {
+    Engines.register(name, adapter);
+    if (extension) setExtension(extension, name);
+
+    // Templates compiled by a previous engine with that name are stale
+    for (const key of Template.compiled.keys()) {
+        if (key.startsWith(`${name}|`)) Template.compiled.delete(key);
+    }
+}
+
+/**
+ * Maps a file extension to a template engine, e.g. to render '/profile.hbs' with Handlebars.
+ * @param {string} extension - The file extension, with its leading dot.
+ * @param {string} name - The engine name.
+ */
+export function setExtension(extension, name) {
+    Template.extensions[extension] = name;
+}
+
+/**
+ * Registers a helper available to every template. Handlebars receives it as a native helper,
+ * Mustache as a lambda in the data and Eta as a function on `it`.
+ * @param {string} name - The helper name.
+ * @param {Function} helper - The helper function.
+ * @example registerHelper('upper', (value) => String(value).toUpperCase());
+ */
+export function registerHelper(name, helper) {
+    Template.helpers[name] = helper;
+}
 
 /**
- * Fetch the template from the provided URL
+ * Fetch the template from the provided URL, through the persistent cache when it is enabled (see Cache.configure).
+ * Templates bundled at build time (see build/assets-plugin.js) are read from the bundle instead.
  * @param {string} url - The URL to fetch the template from.
+ * @param {Function} [onUpdate] - Called with the new template string when a cached template changed on the server.
  * @returns {string} - The raw template string or empty string if fetch fails.
  */
-export async function get(url) {
+export async function get(url, onUpdate) {
     try {
-        const response = await fetch(url);
+        const bundled = url.startsWith(`${Template.prefix}/`) ? await Assets.getTemplate(url.slice(Template.prefix.length)) : undefined;
+        if (bundled !== undefined) return bundled;
+
+        const response = await Cache.request(url, {
+            onUpdate: onUpdate && (async (update) => onUpdate(await update.text()))
+        });
         if (!response.ok) {
             throw new Error(`Failed to fetch template from ${url}`);
         }
@@ -46,17 +165,30 @@ export async function get(url) {
  */
 export async function preload(paths) {
     for (let path of paths) {
-        if (!Template.caches.has(path)) {
-            const fullPath = `${Template.prefix}${path}${Template.extension}`;
+        if (Template.caches.get(path) === STATES.FETCHING) {
+            await Template.fetches.get(path);  // Wait for the fetch already in flight
+        } else if (!Template.caches.has(path)) {
+            const fullPath = resolve(path).url;
             try {
                 Template.caches.set(path, STATES.FETCHING);
-                const template = await get(fullPath);
+                const fetching = get(fullPath, (update) => {
+                    // The server has a newer template than the persistent cache
+                    addToCache(path, update);
+                    emit('template:updated', { path });
+                });
+                Template.fetches.set(path, fetching);
+
+                const template = await fetching;
                 if (template) {
                     Template.caches.set(path, template);  // Add template to cache
+                } else {
+                    Template.caches.delete(path);  // Not found, fetch it again next time
                 }
             } catch (error) {
                 Template.caches.delete(path);
                 console.error(`Failed to preload template at path ${path}:`, error);
+            } finally {
+                Template.fetches.delete(path);
             }
         } else {
             console.log(`Template ${path} is Already Loaded`);
@@ -72,6 +204,7 @@ export async function preload(paths) {
  */
 export function addToCache(path, template) {
     Template.caches.set(path, template);  // Add to the cache map
+    clearCompiled(path);
 }
 
 /**
@@ -80,6 +213,7 @@ export function addToCache(path, template) {
  */
 export function deleteFromCache(path) {
     Template.caches.delete(path);  // Delete the template from the cache map
+    clearCompiled(path);
 }
 
 /**
@@ -87,8 +221,9 @@ export function deleteFromCache(path) {
  * @param {string} path - The path of the template to refresh.
  */
 export async function refreshCache(path) {
-    const fullPath = `${Template.prefix}${path}${Template.extension}`;
+    const fullPath = resolve(path).url;
     try {
+        await Cache.clear(fullPath);  // Skip the persistent cache
         const newTemplate = await get(fullPath);
         if (newTemplate) {
             addToCache(path, newTemplate);  // Update cache with new template
@@ -103,6 +238,7 @@ export async function refreshCache(path) {
  * and incorporates partials if specified.
  *
  * @param {string} path - The path of the template to fetch. The template is expected to be preloaded in the cache.
+ *                        A path ending in an engine extension (e.g. '/profile.hbs') is rendered with that engine.
  * @param {Object} data - The data object to inject into the template for dynamic content rendering.
  * @param {Object} [partials={}] - Optional partial templates to be included in the main template during rendering.
  * @param {Object} [tags] - Optional custom tags to be passed for template rendering (e.g., custom delimiters).
@@ -111,10 +247,11 @@ export async function refreshCache(path) {
  * Workflow:
  * - Ensures the provided `data` is valid and combines it with default configuration data.
  * - Preloads the main template if it's not already loaded.
- * - Retrieves the template source from the cache and processes it.
+ * - Retrieves the template source from the cache and compiles it, reusing the compiled template on later calls.
  * - Returns the translated HTML after processing.
  *
- * @throws {Error} If the template for the specified path is not found in the cache or if the `data` is not valid.
+ * @throws {Error} If the template for the specified path is not found in the cache (with a 404 `status`)
+ *                 or if the `data` is not valid.
  */
 
 export async function getHTML(path, data , partials = {} , tags) {
@@ -128,23 +265,25 @@ export async function getHTML(path, data , partials = {} , tags) {
 
     // Fetch the main template source from the cache
     const templateSource = Template.caches.get(path);
-    if (!templateSource) {
-        throw new Error(`Template for path "${path}" not found.`);
+    if (!templateSource || templateSource === STATES.FETCHING) {
+        const error = new Error(`Template for path "${path}" not found.`);
+        error.status = 404;
+        throw error;
     }
 
     // Merge default data with the provided data
     const defaults = isObject(Template.config.defaults) ? Template.config.defaults : {};
     data = { ...data, ...defaults };
 
-    //  main template, then parse and translate
-    const combinedHTML = templateSource;
-    const parsedHtml = await parseTemplate(combinedHTML, data , partials , tags);
+    // Compile the main template once per engine, then render and translate
+    const template = await compile(path, templateSource, tags);
+    const parsedHtml = template(data, { partials, helpers: Template.helpers });
 
-    return await translate(parsedHtml, data);
+    return await translate(parsedHtml, data, { escape: Template.safe });
 }
 
 /**
- * Renders a template into the container using the given path and data.
+ * Renders a template into a region (the main container by default) using the given path and data.
  *
  * @param {string} path - The path to fetch the template from.
  * @param {Object} data - The data to inject into the template.
@@ -152,11 +291,53 @@ export async function getHTML(path, data , partials = {} , tags) {
  *                            If keys point to objects, templates are preloaded. 
  *                            If keys point to strings, they are used directly.
  * @param {Object} tags - Custom tags for the template engine, if any.
+ * @param {Object} [options={}] - Render options.
+ * @param {string} [options.target='main'] - The region to render into (see setRegion).
+ * @param {string} [options.outlet] - Render into the element with a matching `data-outlet` attribute
+ *                                    inside the region instead of the whole region (used by nested routes).
+ * @param {AbortSignal} [options.signal] - Skips writing to the page once aborted, e.g. the `signal` of a route context
+ *                                         (the default in route handlers, see setDefaultSignal).
+ * @param {boolean} [options.morph] - Patch the existing DOM (keeping focus, input and listeners) or replace it,
+ *                                    defaults to the mode set with setMorph. Use `data-key` on list items so
+ *                                    they are matched across renders, and `data-morph-skip` on elements to keep untouched.
+ * @param {boolean} [options.sanitize] - Sanitize the HTML before writing it, defaults to the mode set with setSafe.
+ * @param {string|Array<string>} [options.bind] - State keys the render depends on: their values are added to the data,
+ *                                                and the target is re-rendered (once per animation frame) when they change.
+ *                                                The binding ends when the target is rendered again or leaves the page.
+ * @param {AbortSignal} [options.scope] - Ends the binding once aborted, e.g. the `scope` of a route context so it ends
+ *                                        when the route is left.
+ * @param {Array<string>} [options.translations] - Translation namespaces the template uses, loaded before it is
+ *                                                 translated (see Translator.loadNamespaces).
+ * @param {string|false} [options.loading] - Template shown while the render takes longer than `delay` (see setFallbacks).
+ * @param {string|false} [options.error] - Template shown when the render fails, with `{ path, status, message, error }`.
+ * @param {string|false} [options.notFound] - Template shown when the template is not found, with the same data.
+ * @param {number} [options.delay] - Time (in ms) before the loading template is shown.
+ * @returns {Promise<{status: string, target: HTMLElement}>} - Resolves with status 'success', or 'aborted'
+ *                                                            when the signal aborted the render.
+ * @throws {Error} If the render fails, once the error or not-found template is shown. The error has the `status` 404
+ *                 when the template is not found, and the path of the template shown as `fallback`.
+ * @example render('/cart', ctx.data, {}, undefined, { target: 'sidebar', bind: ['cart'], scope: ctx.scope });
  */
-export async function render(path, data, partials = {}, tags) {
+export async function render(path, data, partials = {}, tags, options = {}) {
+    const source = { path, data, partials, tags, options }; // What a bound render is re-rendered from
+    if (!options.signal && Template.signal) options = { ...options, signal: Template.signal }; // Not kept by the bound re-renders
+    const keys = options.bind ? [].concat(options.bind) : [];
+
+    const fallbacks = getFallbacks(options);
+    let target;
+    let loadingTimer;
+    let settled = false; // Once set, the loading template must not be written anymore
+
     try {
-        // Show loading state on the container
-        Template.container.classList.add('loading');
+        target = getTarget(options);
+
+        // Show loading state on the target, and the loading template if it takes a while
+        startLoading(target);
+        if (fallbacks.loading) {
+            loadingTimer = setTimeout(() => {
+                renderFallback(target, fallbacks.loading, { path }, options, () => settled);
+            }, fallbacks.delay);
+        }
 
         // Ensure partials is an object
         partials = isObject(partials) ? partials : {};
@@ -183,23 +364,165 @@ export async function render(path, data, partials = {}, tags) {
             }
         }
 
-        // Wait for all partials to preload
-        await Promise.all(preloadPromises);
+        // Wait for all partials to preload, and for the translation namespaces of the template
+        await Promise.all([...preloadPromises, loadNamespaces(options.translations || [])]);
+
+        // Fetch the translated HTML, with the current values of the bound state keys
+        const html = await getHTML(path, withState(data, keys), processedPartials, tags);
 
-        // Fetch the translated HTML
-        const html = await getHTML(path, data, processedPartials, tags);
+        // A superseded render must not replace the newer content
+        settled = true;
+        if (options.signal?.aborted) return { status: 'aborted', target };
 
-        // Inject the HTML into the container
-        Template.container.innerHTML = html;
+        // Inject the HTML into the target
+        write(target, html, options);
+        setBinding(target, keys, source);
 
-        // Remove loading state and add template-specific class
-        Template.container.classList.remove('loading');
-        Template.container.classList.add(`template${path.replaceAll('/', '-')}`);
+        // Replace the class of the previous template with the one of this template
+        setTemplateClass(target, `template${path.replace(/\.[\w-]+$/, '').replaceAll('/', '-')}`);
+        return { status: 'success', target };
     } catch (error) {
+        settled = true;
         console.error(`Failed to render template for path "${path}":`, error);
+
+        // Show the not-found or error template in place of the content
+        const fallback = error?.status === 404 ? fallbacks.notFound : fallbacks.error;
+        if (target && fallback && !options.signal?.aborted) {
+            const details = { path, status: error?.status ?? 500, message: error?.message, error };
+            if (await renderFallback(target, fallback, details, options)) error.fallback = fallback;
+        }
+        throw error;
+    } finally {
+        clearTimeout(loadingTimer);
+        // Remove loading state once the last pending render of the target is done
+        if (target) endLoading(target);
     }
 }
 
+/**
+ * Sets the templates rendered in place of the content while a render is loading or when it fails.
+ * Each render can override them with its own options, or disable one with false.
+ *
+ * @param {Object} fallbacks
+ * @param {string|null} [fallbacks.loading] - Template shown while a render takes longer than `delay`, with `{ path }`.
+ * @param {string|null} [fallbacks.error] - Template shown when a render fails, with `{ path, status, message, error }`.
+ * @param {string|null} [fallbacks.notFound] - Template shown when the template to render is not found, with the same data.
+ * @param {number} [fallbacks.delay] - Time (in ms) before the loading template is shown, so fast renders do not flicker.
+ * @example setFallbacks({ loading: '/states/loading', error: '/states/error', notFound: '/states/not-found' });
+ */
+export function setFallbacks(fallbacks = {}) {
+    if (!isObject(fallbacks)) return;
+    Template.fallbacks = { ...Template.fallbacks, ...fallbacks };
+}
+
+/**
+ * Returns the fallbacks of a render, its options taking over the global ones.
+ * @param {Object} options - Render options (see render).
+ * @returns {Object}
+ */
+function getFallbacks(options) {
+    const fallbacks = { ...Template.fallbacks };
+    for (const key of Object.keys(fallbacks)) {
+        if (options[key] !== undefined) fallbacks[key] = options[key];
+    }
+    return fallbacks;
+}
+
+/**
+ * Writes a fallback template into a target, without failing the render if the fallback fails too.
+ *
+ * @param {HTMLElement} target - The element to write into.
+ * @param {string} path - The fallback template path.
+ * @param {Object} data - The data of the fallback template.
+ * @param {Object} options - Render options (see render).
+ * @param {Function} [isStale] - Whether the fallback must no longer be written, checked once it is rendered.
+ * @returns {Promise<boolean>} - Whether the fallback was written.
+ */
+async function renderFallback(target, path, data, options, isStale = () => false) {
+    try {
+        const html = await getHTML(path, data);
+        if (isStale() || options.signal?.aborted) return false;
+
+        write(target, html, options);
+        setBinding(target, [], null);
+        setTemplateClass(target, null);
+        return true;
+    } catch (error) {
+        console.error(`Failed to render the fallback template "${path}":`, error);
+        return false;
+    }
+}
+
+/**
+ * Writes ready-made HTML into a region, e.g. for error views.
+ *
+ * @param {string} html - The HTML to write.
+ * @param {Object} [options={}] - Render options (see render).
+ * @returns {HTMLElement|undefined} - The element written into, or undefined if the render was aborted.
+ */
+export function renderHTML(html, options = {}) {
+    if (options.signal?.aborted) return;
+
+    const target = getTarget(options);
+    write(target, html, options);
+    setBinding(target, [], null);
+    setTemplateClass(target, null);
+    return target;
+}
+
+/**
+ * Writes HTML into an element, patching its DOM or replacing it depending on the render mode.
+ *
+ * @param {HTMLElement} target - The element to write into.
+ * @param {string} html - The HTML to write.
+ * @param {Object} [options={}] - Render options (see render).
+ */
+function write(target, html, options = {}) {
+    html = prepareHTML(html, options);
+
+    if (options.morph ?? Template.morph) {
+        morph(target, html);
+    } else {
+        target.innerHTML = html;
+    }
+}
+
+/**
+ * Prepares HTML to be written into the page, sanitizing it in safe mode.
+ *
+ * @param {string} html - The rendered HTML.
+ * @param {Object} [options={}] - Render options (see render).
+ * @returns {string|TrustedHTML} - The HTML to assign to innerHTML.
+ */
+export function prepareHTML(html, options = {}) {
+    return (options.sanitize ?? Template.safe) ? toTrustedHTML(html) : html;
+}
+
+/**
+ * Resolves the element a render writes into.
+ *
+ * @param {Object} [options={}] - Render options (see render).
+ * @returns {HTMLElement} - The outlet element if one is requested, otherwise the region element.
+ * @throws {Error} If the region is unknown or the requested outlet is not present in it.
+ */
+export function getTarget(options = {}) {
+    const name = options.target || 'main';
+    const region = getRegion(name)?.element;
+    if (!region) {
+        throw new Error(name === 'main'
+            ? `No container to render into, call setContainer first.`
+            : `Region "${name}" not found, add it with setRegion or a data-region attribute.`);
+    }
+
+    if (!options.outlet) return region;
+
+    const outlet = region.querySelector(`[data-outlet="${CSS.escape(options.outlet)}"]`);
+    if (!outlet) {
+        throw new Error(`Outlet "${options.outlet}" not found, is its layout rendered?`);
+    }
+    return outlet;
+}
+
 
 
 /**
@@ -209,16 +532,66 @@ export async function render(path, data, partials = {}, tags) {
  * @param {Object} data - The data object to inject into the template for dynamic content rendering.
  * @param {Object} [partials={}] - Optional partial templates to be included in the main template during rendering.
  * @param {Object} [tags] - Optional custom tags to be passed for template rendering (e.g., custom delimiters).
+ * @param {string} [engineName] - The engine to use, defaults to the engine set with setEngine.
  * @returns {string} - The parsed HTML string with the injected data and rendered partials.
  *
  * Workflow:
- * - Compiles the raw template using the template engine and the provided data, partials, and tags.
- * - Returns the rendered HTML with the injected content.
+ * - Compiles the raw template using the template engine and the provided tags (not cached, see getHTML).
+ * - Renders it with the data, partials and registered helpers, and returns the HTML.
+ */
+
+export async function parseTemplate(templateSource, data , partials = {},tags, engineName = Template.engine) {
+    const adapter = await Engines.load(engineName);
+    const template = adapter.compile(templateSource, tags);  // Compile engine template
+    return template(data, { partials, helpers: Template.helpers });  // Return the rendered HTML
+}
+
+/**
+ * Returns the compiled template of a path, compiling it with the engine of the path on first use.
+ *
+ * @param {string} path - The template path.
+ * @param {string} templateSource - The raw template string.
+ * @param {Object} [tags] - Optional custom delimiters.
+ * @returns {Promise<Function>} - The template function `(data, { partials, helpers }) => html`.
  */
+async function compile(path, templateSource, tags) {
+    const { engine: engineName } = resolve(path);
+    const key = `${engineName}|${path}|${tags ? [].concat(tags).join(' ') : ''}`;
 
-export async function parseTemplate(templateSource, data , partials = {},tags) {
-    const template = Template.engine.render(templateSource, data , partials, tags);  // Compile engine template
-    return template;  // Return the rendered HTML
+    if (!Template.compiled.has(key)) {
+        const adapter = await Engines.load(engineName);
+        Template.compiled.set(key, adapter.compile(templateSource, tags));
+    }
+    return Template.compiled.get(key);
+}
+
+/**
+ * Drops the compiled templates of a path, e.g. after its source changed.
+ * @param {string} path - The template path.
+ */
+function clearCompiled(path) {
+    for (const key of Template.compiled.keys()) {
+        if (key.split('|')[1] === path) Template.compiled.delete(key);
+    }
+}
+
+/**
+ * Resolves the URL and engine of a template path. Paths ending in a known extension are fetched as is,
+ * other paths get the default extension and engine.
+ *
+ * @param {string} path - The template path (e.g. '/about' or '/profile.hbs').
+ * @returns {{url: string, engine: string}}
+ */
+function resolve(path) {
+    const extension = path.match(/\.[\w-]+$/)?.[0];
+
+    if (extension && Template.extensions[extension]) {
+        return { url: `${Template.prefix}${path}`, engine: Template.extensions[extension] };
+    }
+    if (extension === Template.extension) {
+        return { url: `${Template.prefix}${path}`, engine: Template.engine };
+    }
+    return { url: `${Template.prefix}${path}${Template.extension}`, engine: Template.engine };
 }
 
 // Export cache-related functions
@@ -245,4 +618,160 @@ export function setConfig(config = {}) {
     Template.config = config;
 }
 
-export const setContainer = (container) => Template.container = container;
\ No newline at end of file
+export const setContainer = (container) => setRegion('main', container);
+
+/**
+ * Sets the element of a named region, e.g. a header, sidebar or modal rendered independently of the main container.
+ * Elements with a matching `data-region` attribute are found without being set.
+ *
+ * @param {string} name - The region name ('main' is the container).
+ * @param {HTMLElement|null} element - The region element, or null to remove the region.
+ * @example setRegion('sidebar', document.querySelector('aside'));
+ */
+export function setRegion(name, element) {
+    if (element) {
+        Template.regions.set(name, element);
+    } else {
+        Template.regions.delete(name);
+    }
+}
+
+/**
+ * Returns a region with its render state.
+ *
+ * @param {string} [name='main'] - The region name.
+ * @returns {{name: string, element: HTMLElement, loading: boolean, template: string|null}|undefined}
+ *          - The region, its loading state and the class of its current template, or undefined if it is unknown.
+ */
+export function getRegion(name = 'main') {
+    let element = Template.regions.get(name);
+    if (!element && hasWindow) {
+        element = document.querySelector(`[data-region="${CSS.escape(name)}"]`);
+    }
+    if (!element) return;
+
+    const { pending = 0, template = null } = Template.renders.get(element) || {};
+    return { name, element, loading: pending > 0, template };
+}
+
+/**
+ * Unbinds an element from the state, or every bound element.
+ *
+ * @param {HTMLElement|string} [target] - The element or region name, defaults to all bindings.
+ */
+export function unbind(target) {
+    if (target === undefined) {
+        [...Template.bindings.keys()].forEach(element => setBinding(element, [], null));
+        return;
+    }
+
+    const element = typeof target === 'string' ? getRegion(target)?.element : target;
+    if (element) setBinding(element, [], null);
+}
+
+/**
+ * Adds the current values of state keys to the data of a render.
+ * @param {Object} data
+ * @param {Array<string>} keys - The bound state keys.
+ * @returns {Object}
+ */
+function withState(data, keys) {
+    if (!keys.length) return data;
+    return { ...data, ...Object.fromEntries(keys.map(key => [key, States.get(key)])) };
+}
+
+/**
+ * Binds an element to state keys, replacing its previous binding.
+ * @param {HTMLElement} element - The rendered element.
+ * @param {Array<string>} keys - The state keys, none to only remove the previous binding.
+ * @param {Object} source - The arguments of the render, to render it again.
+ */
+function setBinding(element, keys, source) {
+    const previous = Template.bindings.get(element);
+    if (previous) {
+        previous.unsubscribe();
+        previous.scope?.removeEventListener('abort', previous.end);
+        Template.scheduled.delete(previous);
+        Template.bindings.delete(element);
+    }
+
+    const { scope } = source?.options || {};
+    if (!keys.length || scope?.aborted) return;
+
+    const binding = { element, source, scope };
+    binding.unsubscribe = States.subscribe(keys, () => schedule(binding));
+    binding.end = () => setBinding(element, [], null);
+    scope?.addEventListener('abort', binding.end, { once: true });
+    Template.bindings.set(element, binding);
+}
+
+/**
+ * Schedules a bound render for the next animation frame, so the changes made meanwhile re-render it once.
+ * @param {Object} binding
+ */
+function schedule(binding) {
+    Template.scheduled.add(binding);
+    if (Template.frame) return;
+
+    const nextFrame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (callback) => setTimeout(callback, 16);
+    Template.frame = nextFrame(() => {
+        Template.frame = null;
+        const bindings = [...Template.scheduled];
+        Template.scheduled.clear();
+
+        for (const { element, source } of bindings) {
+            // A binding whose element left the page has nothing left to update
+            if (!element.isConnected) {
+                setBinding(element, [], null);
+                continue;
+            }
+            const { path, data, partials, tags, options } = source;
+            render(path, data, partials, tags, options).catch(() => {}); // Already logged by render
+        }
+    });
+}
+
+/**
+ * Returns the render state of an element, creating it on first use.
+ * @param {HTMLElement} element
+ * @returns {{pending: number, template: string|null}}
+ */
+function getRenderState(element) {
+    if (!Template.renders.has(element)) {
+        Template.renders.set(element, { pending: 0, template: null });
+    }
+    return Template.renders.get(element);
+}
+
+/**
+ * Marks an element as loading until all its pending renders are done.
+ * @param {HTMLElement} element
+ */
+function startLoading(element) {
+    getRenderState(element).pending++;
+    element.classList.add('loading');
+}
+
+/**
+ * Ends one pending render of an element, removing the loading state after the last one.
+ * @param {HTMLElement} element
+ */
+function endLoading(element) {
+    const state = getRenderState(element);
+    state.pending = Math.max(state.pending - 1, 0);
+    if (!state.pending) element.classList.remove('loading');
+}
+
+/**
+ * Replaces the template class of an element.
+ * @param {HTMLElement} element
+ * @param {string|null} className - The class of the template now rendered, or null for ready-made HTML.
+ */
+function setTemplateClass(element, className) {
+    const state = getRenderState(element);
+    if (state.template === className) return;
+
+    if (state.template) element.classList.remove(state.template);
+    if (className) element.classList.add(className);
+    state.template = className;
+}
\ No newline at end of file
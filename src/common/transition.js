@@ -0,0 +1,170 @@
+/**
+ * The Transition module animates the swap of a page, for the Router.
+ *
+ * - With the View Transitions API the swap runs in `document.startViewTransition`, and the `data-transition`
+ *   (the transition name) and `data-direction` ('forward' or 'back') attributes are set on the html element
+ *   while it runs, to style `::view-transition-old(root)` and `::view-transition-new(root)` per transition and direction.
+ * - Otherwise CSS classes are set on the region being swapped: `{name}-leave` until its animation ends, then the
+ *   content is swapped, then `{name}-enter` until its animation ends. `{name}-forward` or `{name}-back` is kept
+ *   throughout. Without an animation or transition in the CSS the classes are only set for a moment.
+ *
+ * A new transition finishes the one in progress at once, so the navigation it belongs to still completes.
+ * Users asking for reduced motion get the swap without transition.
+ */
+
+// Define the Transition object on top
+const Transition = {
+    current: null, // The transition in progress, with a finish function ending it at once
+};
+
+/**
+ * Runs a DOM update inside a transition.
+ * @param {Function} update - Updates the DOM, may be async.
+ * @param {Object} [options]
+ * @param {string|false} [options.name] - The transition name, false to run the update without transition.
+ * @param {string} [options.direction='forward'] - 'forward' or 'back'.
+ * @param {HTMLElement} [options.target] - The element animated by the CSS class fallback.
+ * @returns {Promise<void>} - Resolves once the update is done (the end of the animation is not awaited),
+ *                            rejects if the update fails.
+ * @example run(() => Template.render('/about', data), { name: 'slide', direction: 'back', target: container });
+ */
+export async function run(update, { name, direction = 'forward', target } = {}) {
+    Transition.current?.finish();
+    Transition.current = null;
+
+    if (!name || !isSupported()) return await update();
+
+    if (typeof document.startViewTransition === 'function') {
+        return runViewTransition(update, name, direction);
+    }
+    if (target) {
+        return runWithClasses(update, name, direction, target);
+    }
+    return await update();
+}
+
+/**
+ * Runs the update in a view transition.
+ * @param {Function} update
+ * @param {string} name
+ * @param {string} direction
+ * @returns {Promise<void>}
+ */
+async function runViewTransition(update, name, direction) {
+    const root = document.documentElement;
+    root.dataset.transition = name;
+    root.dataset.direction = direction;
+
+    const transition = document.startViewTransition(update);
+    const current = { finish: () => transition.skipTransition() };
+    Transition.current = current;
+
+    // Skipping a transition rejects these, which only means the animation did not run
+    transition.ready.catch(() => {});
+    transition.finished.catch(() => {}).finally(() => {
+        if (Transition.current !== current) return; // A newer transition owns the attributes
+        Transition.current = null;
+        delete root.dataset.transition;
+        delete root.dataset.direction;
+    });
+
+    await transition.updateCallbackDone;
+}
+
+/**
+ * Runs the update between leave and enter CSS classes.
+ * @param {Function} update
+ * @param {string} name
+ * @param {string} direction
+ * @param {HTMLElement} target - The element animated.
+ * @returns {Promise<void>}
+ */
+async function runWithClasses(update, name, direction, target) {
+    const controller = new AbortController();
+    const classes = [`${name}-leave`, `${name}-enter`, `${name}-${direction}`];
+    const current = {
+        finish: () => {
+            controller.abort();
+            target.classList.remove(...classes);
+        }
+    };
+    Transition.current = current;
+
+    target.classList.add(`${name}-${direction}`, `${name}-leave`);
+    await waitForAnimation(target, controller.signal);
+    target.classList.remove(`${name}-leave`);
+
+    try {
+        await update();
+    } catch (error) {
+        current.finish();
+        throw error;
+    }
+
+    if (controller.signal.aborted) return;
+
+    target.classList.add(`${name}-enter`);
+
+    // The enter animation runs on its own, the navigation does not wait for it
+    waitForAnimation(target, controller.signal).then(() => {
+        if (Transition.current !== current) return;
+        Transition.current = null;
+        current.finish();
+    });
+}
+
+/**
+ * Waits until the animation or transition of an element ends.
+ * @param {HTMLElement} element
+ * @param {AbortSignal} signal - Stops waiting once aborted.
+ * @returns {Promise<void>}
+ */
+function waitForAnimation(element, signal) {
+    const style = getComputedStyle(element);
+    const timeout = Math.max(
+        getDuration(style.transitionDuration, style.transitionDelay),
+        getDuration(style.animationDuration, style.animationDelay)
+    );
+    if (!timeout || signal.aborted) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const onEnd = (event) => {
+            if (event.target === element) done();
+        };
+        const done = () => {
+            clearTimeout(timer);
+            element.removeEventListener('transitionend', onEnd);
+            element.removeEventListener('animationend', onEnd);
+            signal.removeEventListener('abort', done);
+            resolve();
+        };
+
+        // The end events are not fired for interrupted animations, so stop waiting after the longest one
+        const timer = setTimeout(done, timeout + 50);
+        element.addEventListener('transitionend', onEnd);
+        element.addEventListener('animationend', onEnd);
+        signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * Returns the longest duration plus delay (in ms) of computed CSS lists such as '0.3s, 150ms'.
+ * @param {string} durations
+ * @param {string} delays
+ * @returns {number}
+ */
+function getDuration(durations = '', delays = '') {
+    const toMs = (value) => (parseFloat(value) || 0) * (value.trim().endsWith('ms') ? 1 : 1000);
+    const delayList = delays.split(',');
+    return Math.max(0, ...durations.split(',').map((duration, index) =>
+        toMs(duration) + toMs(delayList[index % delayList.length] || '0s')));
+}
+
+/**
+ * Checks whether transitions can run: on a page, for users not asking for reduced motion.
+ * @returns {boolean}
+ */
+function isSupported() {
+    if (typeof document === 'undefined' || typeof window === 'undefined') return false;
+    return !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
@@ -1,9 +1,27 @@
 import STATES from "../utils/states.js";
+import * as Cache from "./cache.js";
+import * as Assets from "./assets.js";
+import { emit } from "./emitter.js";
+import { escapeHTML } from "./helpers.js";
+import { format } from "./message.js";
+import { local as storage } from "./storage.js";
+
+// Key of the language chosen by the user in localStorage
+const LOCAL_STORAGE_KEY = 'lang';
+
+// Languages written right to left, where Intl.Locale has no text info
+const RTL_LANGS = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
 
 const Translator = {
     currentLang: null, // Default language
-    translations: {},  // Store loaded translations
-    prefix: `${window.location.origin}/translations`, // Base URL for Templates
+    defaultLang: 'en', // Last locale of every fallback chain
+    availableLangs: [], // Languages the app is translated into, to pick the first visit language from
+    fallbacks: {},     // Extra fallback locales by locale, e.g. { 'pt-BR': ['pt-PT'] }
+    translations: {},  // Store loaded translations, by file name ('en', or 'en/checkout' for a namespace)
+    namespaces: new Set(), // Namespaces loaded so far, loaded again for every language
+    loading: new Map(), // Loads in progress by file name, so a file is fetched once at a time
+    reported: new WeakSet(), // Syntax errors of invalid messages already logged, parse caches one per message
+    prefix: `${typeof window !== "undefined" ? window.location.origin : ''}/translations`, // Base URL for Templates
 };
 
 
@@ -13,68 +31,224 @@ export function setPrefix (prefix){
 }
 
 /**
- * Load the translation JSON for the given language.
- * @param {string} lang - The language code (e.g., 'en', 'fr').
- * @returns {Promise<void>} - Resolves when the translation file is loaded.
+ * Set the default language, used by init and as the last fallback of every language.
+ * @param {string} lang - The language code (e.g., 'en').
+ */
+export function setDefaultLang(lang) {
+    Translator.defaultLang = lang;
+}
+
+/**
+ * Set the languages the app is translated into. The language of a first visit is picked among them (see detectLang).
+ * @param {Array<string>} langs - The language codes (e.g., ['en', 'fr', 'ar']).
+ */
+export function setAvailableLangs(langs) {
+    Translator.availableLangs = [...langs];
+}
+
+/**
+ * Set extra fallback languages, tried after a language and before its parent languages.
+ * @param {Object<string, Array<string>>} fallbacks - The fallback languages by language.
+ * @example setFallbacks({ 'pt-BR': ['pt-PT'] }); // pt-BR → pt-PT → pt → en
+ */
+export function setFallbacks(fallbacks) {
+    Object.assign(Translator.fallbacks, fallbacks);
+}
+
+/**
+ * Get the fallback chain of a language: the language, its extra fallbacks, its parent languages, then the default language.
+ * Missing keys are looked up along the chain, so a region file only has to hold the keys it overrides.
+ * @param {string} [lang] - The language code, defaults to the current language.
+ * @returns {Array<string>} - The language codes, e.g. ['fr-CA', 'fr', 'en'] for 'fr-CA'.
+ */
+export function getChain(lang = Translator.currentLang) {
+    const chain = [];
+    const add = (locale) => {
+        if (locale && !chain.includes(locale)) chain.push(locale);
+    };
+    const addWithParents = (locale) => {
+        const subtags = locale ? locale.split('-') : [];
+        for (let i = subtags.length; i > 0; i--) add(subtags.slice(0, i).join('-'));
+    };
+
+    add(lang);
+    (Translator.fallbacks[lang] || []).forEach(add);
+    addWithParents(lang);
+    addWithParents(Translator.defaultLang);
+    return chain;
+}
+
+/**
+ * Load the translation JSON for the given language and its fallback chain, through the persistent cache when it is
+ * enabled (see Cache.configure), with the namespaces loaded so far. A file that is missing (e.g. a region without
+ * its own file) is skipped. A cached file that changed on the server is replaced in the background, emitting
+ * `translator:updated`. Translations bundled at build time (see build/assets-plugin.js) are read from the bundle instead.
+ * The language becomes the current one once its own file, or the file of its base language, is loaded: the default
+ * language alone does not translate it.
+ * @param {string} lang - The language code (e.g., 'en', 'fr', 'fr-CA').
+ * @param {Function} [callback] - Called once the files are loaded, its result is returned.
+ * @returns {Promise<any>} - Resolves when the translation files are loaded.
  */
 export async function load(lang, callback = null) {
-    if (Translator.translations[lang]) {
-        if (typeof callback === "function") callback(); // Execute the callback immediately if translations are cached
-        return;
+    await Promise.all(getFiles(lang, Translator.namespaces).map(loadFile));
+
+    if (getBaseLangs(lang).some(locale => isLoaded(locale))) {
+        Translator.currentLang = lang;
+    } else {
+        console.error(`No translations found for ${lang}`);
     }
 
-    Translator.translations[lang] = STATES.FETCHING; // Mark as fetching
-    try {
-        const response = await fetch(`${Translator.prefix}/${lang}.json`);
-        if (!response.ok) {
-            throw new Error(`Language file ${lang} not found`);
+    if (typeof callback === "function") return callback(); // Execute callback fetch
+}
+
+/**
+ * Load namespaced translations (`translations/en/checkout.json` for the 'checkout' namespace) for the fallback chain
+ * of a language, addressed as `checkout:title` in getByKey and translate. Files already loaded are not fetched again,
+ * and the namespaces are loaded with every language loaded later.
+ * Routes and renders declare the namespaces they need with their `translations` option (see Router.register and
+ * Template.render).
+ * @param {string|Array<string>} namespaces - The namespaces (e.g. 'checkout').
+ * @param {string} [lang] - The language code, defaults to the current language.
+ * @returns {Promise<void>} - Resolves when the translation files are loaded.
+ * @example await loadNamespaces(['checkout']); getByKey('checkout:title');
+ */
+export async function loadNamespaces(namespaces, lang = Translator.currentLang || Translator.defaultLang) {
+    namespaces = [].concat(namespaces);
+    if (!namespaces.length) return;
+
+    namespaces.forEach(namespace => Translator.namespaces.add(namespace));
+    await Promise.all(getFiles(lang, namespaces, false).map(loadFile));
+}
+
+/**
+ * Get a language and its base languages, e.g. ['fr-CA', 'fr'] for 'fr-CA'.
+ * @param {string} lang - The language code.
+ * @returns {Array<string>}
+ */
+function getBaseLangs(lang) {
+    const subtags = lang.split('-');
+    return subtags.map((subtag, i) => subtags.slice(0, subtags.length - i).join('-'));
+}
+
+/**
+ * Get the translation files of a language: those of each language of its fallback chain, and of its namespaces.
+ * @param {string} lang - The language code.
+ * @param {Iterable<string>} namespaces - The namespaces.
+ * @param {boolean} [main=true] - Whether to include the main file of each language (e.g. 'en').
+ * @returns {Array<string>} - The file names, e.g. ['fr', 'fr/checkout', 'en', 'en/checkout'].
+ */
+function getFiles(lang, namespaces, main = true) {
+    return getChain(lang).flatMap(locale => [
+        ...(main ? [locale] : []),
+        ...Array.from(namespaces, namespace => `${locale}/${namespace}`)
+    ]);
+}
+
+/**
+ * Load a translation file, once.
+ * @param {string} file - The file name below the prefix, without '.json' (e.g. 'en' or 'en/checkout').
+ * @returns {Promise<void>}
+ */
+async function loadFile(file) {
+    if (Translator.loading.has(file)) return Translator.loading.get(file);
+    if (Object.hasOwn(Translator.translations, file)) return; // Loaded, or failed before
+
+    Translator.translations[file] = STATES.FETCHING; // Mark as fetching
+    const loading = (async () => {
+        try {
+            Translator.translations[file] = await Assets.getTranslation(file) || await fetchTranslations(file);
+        } catch (err) {
+            Translator.translations[file] = STATES.NULL; // Mark as failed
+            console.warn(err.message);
         }
+    })().finally(() => Translator.loading.delete(file));
 
-        const data = await response.json();
+    Translator.loading.set(file, loading);
+    return loading;
+}
 
-        Translator.translations[lang] = data;
-        Translator.currentLang = lang;
+/**
+ * Check whether a translation file is loaded.
+ * @param {string} file - The file name (e.g. 'en' or 'en/checkout').
+ * @returns {boolean}
+ */
+function isLoaded(file) {
+    const translations = Translator.translations[file];
+    return typeof translations === "object" && translations !== null;
+}
 
-    } catch (err) {
-        Translator.translations[lang] = STATES.NULL; // Mark as failed
-        console.error(err);
-        // throw err;
+/**
+ * Fetch a translation JSON from the server.
+ * @param {string} file - The file name below the prefix, without '.json' (e.g. 'en' or 'en/checkout').
+ * @returns {Promise<Object>} - The translations.
+ * @throws {Error} If the language file is not found.
+ */
+async function fetchTranslations(file) {
+    const response = await Cache.request(`${Translator.prefix}/${file}.json`, {
+        onUpdate: async (update) => {
+            Translator.translations[file] = await update.json();
+            emit('translator:updated', { lang: file.split('/')[0], file });
+        }
+    });
+    if (!response.ok) {
+        throw new Error(`Language file ${file} not found`);
     }
 
-    if (typeof callback === "function") return callback(); // Execute callback fetch
-
+    return await response.json();
 }
 
 /**
  * Get the translation for a given key with optional parameters.
- * @param {string} key - The key of the translation (e.g., 'greeting', 'error.notFound').
+ * A key missing in the current language is looked up along its fallback chain (see getChain).
+ * Keys of a namespace are prefixed with it (see loadNamespaces).
+ * @param {string} key - The key of the translation (e.g., 'greeting', 'error.notFound', 'checkout:title').
  * @param {object} [params] - Optional parameters to replace placeholders in the translation.
- * @returns {string} - The translated string or the key itself if not found.
- */
-export function getByKey(key, params = {}) {
-    const keys = key.split('.'); // Split key by dot notation (e.g., 'error.notFound')
-    let translation = Translator.translations[Translator.currentLang];
-    // Traverse the nested objects using the split keys
-    for (let k of keys) {
-        if (translation && translation[k]) {
-            translation = translation[k];
-        } else {
-            return `_${key}_`; // Return the key as fallback (wrapped in underscores)
+ * @param {boolean} [escape=false] - Whether to HTML-escape the parameter values, for translations written into HTML.
+ * @returns {string} - The translated string or the key itself if not found in any language of the chain.
+ */
+export function getByKey(key, params = {}, escape = false) {
+    const separator = key.indexOf(':');
+    const namespace = separator === -1 ? null : key.slice(0, separator);
+    const keys = key.slice(separator + 1).split('.'); // Split key by dot notation (e.g., 'error.notFound')
+
+    for (const locale of getChain()) {
+        const file = namespace ? `${locale}/${namespace}` : locale;
+        if (!isLoaded(file)) continue;
+
+        let translation = Translator.translations[file];
+        // Traverse the nested objects using the split keys
+        for (let k of keys) {
+            translation = translation && typeof translation === "object" ? translation[k] : undefined;
         }
+
+        // Replace placeholders with actual parameter values, with the plural rules of the language found
+        if (typeof translation === "string") return replacePlaceholders(translation, params, escape, locale);
     }
 
-    // Replace placeholders with actual parameter values
-    return replacePlaceholders(translation, params);
+    return `_${key}_`; // Return the key as fallback (wrapped in underscores)
 }
 
 /**
  * Replace placeholders in a translation string with parameter values.
- * Supports nested object keys like {address.city}.
+ * Supports nested object keys like {address.city} and ICU MessageFormat plurals and selects, using the plural
+ * rules of the current language (see message.js), e.g. '{count, plural, one {# item} other {# items}}'.
  * @param {string} str - The translation string containing placeholders (e.g., 'Hello {name}' or 'Hello {address.city}').
  * @param {object} params - The parameters to replace (e.g., { name: 'Alex', address: { city: 'New York' } }).
+ * @param {boolean} [escape=false] - Whether to HTML-escape the values, so user data cannot inject markup.
+ * @param {string} [locale] - The language of the string, defaults to the current language.
  * @returns {string} - The string with placeholders replaced by actual values.
  */
-export function replacePlaceholders(str, params) {
+export function replacePlaceholders(str, params, escape = false, locale = Translator.currentLang) {
+    try {
+        return format(str, params, { locale: locale || Translator.defaultLang, escape });
+    } catch (error) {
+        // Not a valid message (e.g. a stray brace), replace the simple placeholders only
+        if (!Translator.reported.has(error)) {
+            console.warn(error.message);
+            Translator.reported.add(error); // Logged once, the same error is thrown for the same message
+        }
+    }
+
     return str.replace(/\{([a-zA-Z0-9_.]+)\}/g, (match, key) => {
         const keys = key.split('.'); // Split nested keys like 'address.city' into ['address', 'city']
         let value = params;
@@ -88,7 +262,8 @@ export function replacePlaceholders(str, params) {
             }
         }
 
-        return value !== undefined ? value : match; // Replace or keep the placeholder if not found
+        if (value === undefined) return match; // Keep the placeholder if not found
+        return escape ? escapeHTML(value) : value;
     });
 }
 
@@ -97,43 +272,128 @@ export function replacePlaceholders(str, params) {
  * Replace all occurrences of _key_ in the string with the translated values.
  * @param {string} str - The string to be translated (can contain _key_ with keys).
  * @param {object} [params] - Optional parameters to replace placeholders in the translations.
+ * @param {Object} [options]
+ * @param {boolean} [options.escape=false] - Whether to HTML-escape the placeholder values (see getByKey).
  * @returns {string} - The string with translated values and replaced placeholders.
  */
-export async function translate(str, params = {}) {
+export async function translate(str, params = {}, { escape = false } = {}) {
 
     if(!Translator.currentLang){
         console.warn('No language set!, Please set a language using Translator.init(lang) before calling translate()');
         return str;
     };
 
-    const isFetching = Translator.translations[Translator.currentLang] === STATES.FETCHING;
-    const isMissing = !Translator.translations[Translator.currentLang];
-
     // Fallback callback for string replacement
-    const processString = () => str.replace(/_([^_]+)_/g, (match, key) => getByKey(key, params) || match);
+    const processString = () => str.replace(/_([^_]+)_/g, (match, key) => getByKey(key, params, escape) || match);
 
-    if (isMissing || isFetching) {
+    // Wait for the files of the chain still loading (or not loaded yet), loaded files are not fetched again
+    const isPending = getFiles(Translator.currentLang, Translator.namespaces)
+        .some(file => !Object.hasOwn(Translator.translations, file) || Translator.loading.has(file));
+    if (isPending) {
         try {
-            console.warn(`isMissing | isFetching`, isFetching,isMissing);
             return await load(Translator.currentLang, processString);
         } catch (error) {
             console.error(`Translation loading failed for language: ${Translator.currentLang}`, error);
             return str; // Return the original string as a fallback
         }
-    } else {
-        console.log('Alread Loaded', Translator.currentLang);
     }
 
     return processString();
 }
 
 /**
- * Initialize the Translator by loading the default language.
+ * Switch to another language: load its translations, update the `lang` and `dir` attributes of the html element,
+ * remember the choice for the next visits and emit `translator:changed` with `{ lang, previous, dir }` when it replaces
+ * another language, upon which the Router renders the current route again.
+ * @param {string} lang - The language code (e.g., 'fr', 'ar').
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Whether to remember the language in localStorage.
+ * @returns {Promise<boolean>} - false if no translation of the language could be loaded, the language is kept then.
  * @example
- * Translator.init(); // Initializes the translator with the default language (en).
+ * Translator.setLanguage('ar'); // <html lang="ar" dir="rtl">
+ */
+export async function setLanguage(lang, { persist = true } = {}) {
+    const previous = Translator.currentLang;
+    await load(lang);
+
+    if (Translator.currentLang !== lang) return false;
+
+    const dir = getDirection(lang);
+    if (typeof document !== "undefined") {
+        document.documentElement.lang = lang;
+        document.documentElement.dir = dir;
+    }
+
+    if (persist) {
+        try {
+            storage.set(LOCAL_STORAGE_KEY, lang);
+        } catch (error) {
+            console.warn('Failed to save the language:', error); // e.g. storage disabled, the language still applies
+        }
+    }
+
+    // The first language is not a change, nothing was rendered with another one
+    if (previous !== null && lang !== previous) emit('translator:changed', { lang, previous, dir });
+    return true;
+}
+
+/**
+ * Get the writing direction of a language.
+ * @param {string} [lang] - The language code, defaults to the current language.
+ * @returns {string} - 'rtl' or 'ltr'.
+ */
+export function getDirection(lang = Translator.currentLang || Translator.defaultLang) {
+    try {
+        const locale = new Intl.Locale(lang);
+        const direction = (locale.getTextInfo?.() ?? locale.textInfo)?.direction;
+        if (direction) return direction;
+    } catch (error) {
+        // Not a valid language tag, check the list below
+    }
+    return RTL_LANGS.includes(String(lang).split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Pick the language of the user: the one saved by setLanguage, otherwise the first language of the browser
+ * (navigator.languages) the app is translated into (see setAvailableLangs), otherwise the default language.
+ * A browser language also matches its base language or a region of it (fr-BE matches 'fr', then 'fr-CA').
+ * @returns {string} - The language code.
+ */
+export function detectLang() {
+    const available = Translator.availableLangs;
+    let saved;
+    try {
+        saved = storage.get(LOCAL_STORAGE_KEY);
+    } catch (error) {
+        saved = undefined; // Storage disabled, or a value not saved by setLanguage
+    }
+    if (saved && (!available.length || available.includes(saved))) return saved;
+
+    const preferred = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+    const find = (match) => available.find(lang => match(lang.toLowerCase()));
+
+    for (const candidate of preferred.filter(Boolean).map(lang => lang.toLowerCase())) {
+        const base = candidate.split('-')[0];
+        const lang = find(lang => lang === candidate) || find(lang => lang === base) || find(lang => lang.split('-')[0] === base);
+        if (lang) return lang;
+    }
+
+    return Translator.defaultLang;
+}
+
+/**
+ * Initialize the Translator with a language, or the language of the user (see detectLang).
+ * An explicit language is not remembered, use setLanguage for a choice of the user.
+ * The default language is used when the language has no translations.
+ * @param {string} [lang] - The language code, defaults to the detected language.
+ * @example
+ * Translator.init(); // Initializes the translator with the saved, browser or default language (en).
  */
 export async function init(lang) {
-    lang && await load(lang);
+    lang = lang || detectLang();
+    if (!await setLanguage(lang, { persist: false }) && lang !== Translator.defaultLang) {
+        await setLanguage(Translator.defaultLang, { persist: false });
+    }
 }
 
 export default Translator;
\ No newline at end of file
@@ -43,8 +43,6 @@ async function authMiddleware(request) {
         console.log("User is not authenticated, blocking route access.");
         return false; // Abort the route change
     }
-    request.data = { yes: 1 };
-    request.user = await Api.get(`/users/${request.params.id}`);
     return true; // Proceed to route handler
 }
 
@@ -58,15 +56,20 @@ Router.register('/about', async (request) => {
 }, authMiddleware);
 
 
-Router.register('/about/:id', async (request) => {
-    try {
-        request.user.next = +request.user.id + 1;
-        request.user.prev = +request.user.id - 1;
-        request.photos = [];
-        await Template.render("/about", request);
-    } catch (error) {
-        console.error('Error rendering /about template', error);
-    }
+Router.register('/about/:id', {
+    handler: async (request) => {
+        try {
+            request.user = { ...request.data, next: +request.data.id + 1, prev: +request.data.id - 1 };
+            request.photos = [];
+            await Template.render("/about", request);
+        } catch (error) {
+            console.error('Error rendering /about template', error);
+        }
+    },
+    // Cached per user id. Hovering the next/previous links prefetches the template only: routes with middlewares
+    // load their data once the middlewares let the navigation through
+    load: (request) => Api.get(`/users/${request.params.id}`, { signal: request.signal }),
+    templates: ["/about"],
 }, authMiddleware);
 
 
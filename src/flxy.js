@@ -8,6 +8,10 @@ import * as Translator from "./common/translator.js";
 import * as Device from "./common/device.js";
 import * as Events from "./common/events.js";
 import * as Location from "./common/location.js";
+import * as Component from "./common/component.js";
+import * as Cache from "./common/cache.js";
+import * as Sanitizer from "./common/sanitizer.js";
+import * as Formatter from "./common/formatter.js";
 
 // Define the main Flxy object
 const Flxy = {};
@@ -58,7 +62,11 @@ const modules = ({
     device: Device,
     states: States,
     events:Events,
-    location:Location
+    location:Location,
+    component:Component,
+    cache:Cache,
+    sanitizer:Sanitizer,
+    formatter:Formatter
 });
 
 Object.keys(modules).forEach((module) => Flxy[module] = {...modules[module]});
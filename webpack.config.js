@@ -1,14 +1,24 @@
 const path = require('path');
+const FlxyAssetsPlugin = require('./build/assets-plugin.js');
 
-module.exports = {
+// `webpack --env assets` (npm run build:assets) bundles the templates and translations
+module.exports = (env = {}) => ({
     mode: "production",
     entry: path.resolve(__dirname + "/src/flxy.js"),
     output: {
         path: path.resolve(__dirname, 'dist'),
         filename: 'main.bundle.js',
+        chunkFilename: '[name].chunk.js',      // Lazy route modules, see Router.register({ lazy })
         library: 'Flxy',   
         libraryTarget: 'umd',                 // Universal module definition
         globalObject: "typeof self !== 'undefined' ? self : this", // Safe global object
         libraryExport: 'default',
     },
-};
+    plugins: [
+        // Bundle templates/ and translations/ so they are not fetched at runtime
+        env.assets && new FlxyAssetsPlugin({
+            templates: path.resolve(__dirname, 'templates'),
+            translations: path.resolve(__dirname, 'translations'),
+        }),
+    ].filter(Boolean),
+});